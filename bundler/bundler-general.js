@@ -26,31 +26,78 @@
  * these Appropriate Legal Notices must retain the display of the "EspoCRM" word.
  ************************************************************************/
 
+const crypto = require('crypto');
+const fs = require('fs');
+const pathUtil = require('path');
+const terser = require('terser');
 const Bundler = require("./bundler");
 const Precompiler = require('./template-precompiler');
+const ReportRenderer = require('./report-renderer');
+const DotRenderer = require('./dot-renderer');
+const BundleWarningError = require('./bundle-warning-error');
+const Logger = require('../logger/logger');
+const ConfigValidator = require('./config-validator');
+const ParseCache = require('./parse-cache');
+
+const parseCacheFileName = '.bundler-cache.json';
+
+const warningEventMap = {
+    crossChunk: 'warning:cross-chunk',
+    notBundled: 'warning:not-bundled',
+    circularDependency: 'warning:circular-dependency',
+};
+
+/**
+ * @typedef {Object} BundlerChunkParams
+ * @property {string[]} [files]
+ * @property {string[]} [patterns]
+ * @property {string[]} [ignorePatterns]
+ * @property {string[]} [ignoreFiles]
+ * @property {string[]} [lookupPatterns]
+ * @property {string[]} [templatePatterns] Templates to pre-compile. To be used sparingly.
+ * @property {boolean} [noDuplicates]
+ * @property {string[]} [dependentOn]
+ * @property {string[]} [requires]
+ * @property {boolean} [mapDependencies]
+ * @property {boolean} [includeLazyDependencies] Bundle modules loaded with a dynamic `import()`
+ *   or `require([...])`. Otherwise, they are listed in the plan and the report, to be loaded on demand.
+ */
+
+/**
+ * @typedef {Object} BundlerGeneralConfig
+ * @property {string} [basePath]
+ * @property {string} [transpiledPath]
+ * @property {Object.<string, BundlerChunkParams>} chunks
+ * @property {Record.<string, string>} [modulePaths]
+ * @property {string[]} lookupPatterns
+ * @property {string[]} order
+ * @property {boolean} [dryRun] Return a plan instead of contents. Nothing is read from the transpiled dir.
+ * @property {boolean} [sourceMaps] Write a map next to each bundle file, composed from maps
+ *   of transpiled files.
+ * @property {boolean|Object} [minify] Terser options can be passed instead of `true`.
+ * @property {string} [manifestFile] A file to write chunk names mapped to bundle files to.
+ * @property {{json?: string, html?: string}} [report] Files to write module and template sizes
+ *   per chunk to. A chain tells which bundled module pulled in a module not matched by chunk patterns.
+ * @property {{json?: string, dot?: string}} [graph] Files to write the module dependency graph to.
+ * @property {boolean|{
+ *   crossChunk?: boolean,
+ *   notBundled?: boolean,
+ *   circularDependency?: boolean,
+ * }} [strict] Fail the build with a `BundleWarningError` on warnings of all or specified categories.
+ * @property {{name?: string, minSize?: number}} [sharedChunk] Move modules that would be bundled
+ *   in two or more non-main chunks to a generated chunk, if their total source size is not less
+ *   than `minSize`. Chunks using them have the shared chunk mapped as a dependency.
+ * @property {Object.<string, import('./prefix-handler')>} [prefixHandlers] Handlers of dependencies
+ *   with a loader prefix, e.g. `text!`. A handler can have a dependency inlined into the chunk.
+ *   `lib!` is handled by default.
+ * @property {boolean} [cache] Store parsed module data in the transpiled dir, to be reused while
+ *   file contents are the same. True by default.
+ */
 
 class BundlerGeneral {
 
     /**
-     * @param {{
-     *   basePath?: string,
-     *   transpiledPath?: string,
-     *   chunks: Object.<string, {
-     *     files?: string[],
-     *     patterns?: string[],
-     *     ignorePatterns: string[],
-     *     ignoreFiles?: string[],
-     *     lookupPatterns?: string[],
-     *     templatePatterns?: string[],
-     *     noDuplicates?: boolean,
-     *     dependentOn?: string[],
-     *     requires?: string[],
-     *     mapDependencies?: boolean,
-     *   }>,
-     *   modulePaths?: Record.<string, string>,
-     *   lookupPatterns: string[],
-     *   order: string[],
-     * }} config
+     * @param {BundlerGeneralConfig} config
      * @param {{
      *    src?: string,
      *    bundle?: boolean,
@@ -59,43 +106,177 @@ class BundlerGeneral {
      *        src: string,
      *    }[]
      *  }[]} [libs]
-     *  @param {string} [filePattern]
+     *  @param {string} [filePattern] `{*}` is replaced with a chunk name, `{hash}` with a hash
+     *    of chunk contents.
+     *  @param {Logger} [logger]
      */
-    constructor(config, libs, filePattern) {
+    constructor(config, libs, filePattern, logger) {
+        const problems = (new ConfigValidator()).validate(config, libs);
+
+        if (problems.length) {
+            const part = problems
+                .map(item => ' ' + item)
+                .join('\n');
+
+            throw new Error(`Invalid bundler config:\n${part}`);
+        }
+
         this.config = config;
         this.libs = libs ?? [];
         this.mainBundleFiles = [];
         this.filePattern = filePattern || 'client/lib/espo-{*}.js';
+        this.logger = logger ?? new Logger();
 
-        if (!this.config.order.length) {
-            throw new Error(`No chunks specified in 'order' param.`);
-        }
+        /**
+         * Chunk data from the last run. Used for rebuilding specific chunks.
+         *
+         * @type {Object.<string, {
+         *   contents: string,
+         *   modules: string[],
+         *   files: string[],
+         *   templateFiles: string[],
+         *   notBundledModules: string[],
+         *   dependencyModules: string[],
+         *   directDependencyModules: string[],
+         *   sourceMap: Object|null,
+         *   moduleSizes: Object.<string, number>,
+         *   dependencyChains: Object.<string, string[]>,
+         *   templateSizes: Object.<string, number>,
+         *   cycles: string[][],
+         *   lazyDependencyModules: string[],
+         * }>}
+         */
+        this.chunkDataMap = {};
+
+        /**
+         * Chunk sizes in bytes from the last run, if minification is enabled.
+         *
+         * @type {Object.<string, {original: number, minified: number}>}
+         */
+        this.sizes = {};
+
+        /**
+         * Bundle files from the last run.
+         *
+         * @type {Object.<string, string>}
+         */
+        this.bundleFiles = {};
+
+        /**
+         * A bundle report from the last run.
+         *
+         * @type {{
+         *   chunks: Object.<string, {
+         *     file: string,
+         *     size: number,
+         *     modules: {module: string, file: string, size: number, chain: string[]|null}[],
+         *     templates: {file: string, size: number}[],
+         *     lazyDependencies: string[],
+         *   }>,
+         * }|null}
+         */
+        this.report = null;
+
+        /**
+         * Warnings from the last run.
+         *
+         * @type {{
+         *   category: 'crossChunk'|'notBundled'|'circularDependency',
+         *   message: string,
+         *   chunk?: string,
+         *   chunks?: string[],
+         *   modules: string[],
+         * }[]}
+         */
+        this.warnings = [];
+
+        this.sharedChunkName = config.sharedChunk ? (config.sharedChunk.name ?? 'shared') : null;
+
+        /**
+         * Files extracted to the shared chunk in the last run.
+         *
+         * @type {string[]}
+         */
+        this.sharedFiles = [];
+
+        /**
+         * Lookup patterns of chunks the shared files are extracted from.
+         *
+         * @type {string[]}
+         */
+        this.sharedLookupPatterns = [];
+
+        /**
+         * Chunks built in the last run. The shared chunk goes right after the main one.
+         *
+         * @type {string[]}
+         */
+        this.order = this.config.order;
     }
 
     // noinspection JSUnusedGlobalSymbols
     /**
-     * @return {Object.<string, string>}
+     * Builds chunks. Files are found and parsed once for all chunks. Warnings are returned
+     * in the non-enumerable `warnings` property, so that only chunks are iterated.
+     *
+     * @param {string[]} [names] Chunks to rebuild. Other chunks are taken from the previous run.
+     *   If not specified, all chunks are built.
+     * @return {(Object.<string, string>|Object.<string, {
+     *   file: string,
+     *   modules: {module: string, file: string}[],
+     *   templateFiles: string[],
+     *   lazyDependencies: string[],
+     * }>) & {warnings: BundleWarningError['warnings']}}
      */
-    bundle() {
+    bundle(names) {
         const result = {};
+        const plan = {};
         const mapping = {};
         let files = [];
         let modules = [];
         let templateFiles = [];
         const mainName = this.config.order[0];
 
+        const bundler = this.#createBundler();
+
+        if (this.sharedChunkName) {
+            const shared = this.#obtainSharedFiles(bundler);
+
+            // Contents of other chunks depend on which modules are shared.
+            if (shared.files.join() !== this.sharedFiles.join()) {
+                names = undefined;
+            }
+
+            this.sharedFiles = shared.files;
+            this.sharedLookupPatterns = shared.lookupPatterns;
+        }
+
+        this.order = this.sharedFiles.length ?
+            [mainName, this.sharedChunkName, ...this.config.order.slice(1)] :
+            this.config.order;
+
         /** @var {Object.<string, string[]>} */
         const notBundledMap = {};
         /** @var {Object.<string, string>} */
         const moduleChunkMap = {};
         /** @var {Object.<string, string[]>} */
         const chunkDirectDependentModulesMap = {};
+        /** @var {{name: string, requires: string[]}[]} */
+        const registrations = [];
+        /** @var {BundleWarningError['warnings']} */
+        const warnings = [];
 
-        this.config.order.forEach((name, i) => {
-            const data = this.#bundleChunk(name, i === 0, {
-                files: files,
-                templateFiles: templateFiles,
-            });
+        this.order.forEach((name, i) => {
+            const isCached = names && !names.includes(name) && name in this.chunkDataMap;
+
+            const data = isCached ?
+                this.chunkDataMap[name] :
+                this.#bundleChunk(bundler, name, i === 0, {
+                    files: files,
+                    templateFiles: templateFiles,
+                });
+
+            this.chunkDataMap[name] = data;
 
             files = files.concat(data.files);
             templateFiles = templateFiles.concat(data.templateFiles);
@@ -103,7 +284,22 @@ class BundlerGeneral {
             notBundledMap[name] = data.notBundledModules;
             result[name] = data.contents;
 
-            console.log(`  Chunk '${name}' done, ${data.files.length} files.`)
+            plan[name] = {
+                file: this.#obtainRawBundleFile(name),
+                modules: data.modules.map((module, i) => ({module: module, file: data.files[i]})),
+                templateFiles: data.templateFiles,
+                lazyDependencies: data.lazyDependencyModules,
+            };
+
+            if (!isCached) {
+                this.logger.log(`  Chunk '${name}' done, ${data.files.length} files.`);
+
+                this.logger.emit('chunk:done', {
+                    chunk: name,
+                    files: data.files,
+                    modules: data.modules,
+                });
+            }
 
             chunkDirectDependentModulesMap[name] = data.directDependencyModules;
 
@@ -113,37 +309,49 @@ class BundlerGeneral {
                 }
             }
 
-            if (i === 0 && this.config.order.length > 1) {
+            if (i === 0 && this.order.length > 1) {
                 return;
             }
 
             data.modules.forEach(item => mapping[item] = name);
 
-            const bundleFile = this.filePattern.replace('{*}', name);
+            const params = this.#obtainChunkParams(name);
 
-            let requires = [].concat(this.config.chunks[name].requires ?? []);
+            let requires = [].concat(params.requires ?? []);
 
-            if (this.config.chunks[name].mapDependencies) {
+            if (params.mapDependencies) {
                 requires = requires.concat(data.dependencyModules);
             }
 
-            if (requires.length) {
-                const part = JSON.stringify(requires);
+            if (this.sharedFiles.length && name !== this.sharedChunkName) {
+                const sharedModules = this.chunkDataMap[this.sharedChunkName].modules;
 
-                result[mainName] += `Espo.loader.mapBundleDependencies('${name}', ${part});\n`;
+                data.directDependencyModules
+                    .filter(item => sharedModules.includes(item))
+                    .filter(item => !requires.includes(item))
+                    .sort()
+                    .forEach(item => requires.push(item));
             }
 
-            result[mainName] += `Espo.loader.mapBundleFile('${name}', '${bundleFile}');\n`;
+            // Files of other chunks are known only after they are finalized.
+            if (name !== mainName) {
+                registrations.push({name: name, requires: requires});
+
+                return;
+            }
+
+            result[mainName] += this.#obtainRegistrationCode(name, requires, this.#obtainRawBundleFile(name));
         });
 
-        this.config.order.slice(1).forEach(name => {
+        this.order.slice(1).forEach(name => {
             const dependsOnChunks = [];
             const deps = [];
 
             for (const m of chunkDirectDependentModulesMap[name]) {
                 const dependeeChunk = moduleChunkMap[m];
 
-                if (!dependeeChunk) {
+                // The shared chunk is loaded as a dependency.
+                if (!dependeeChunk || dependeeChunk === this.sharedChunkName) {
                     continue;
                 }
 
@@ -157,21 +365,39 @@ class BundlerGeneral {
             if (dependsOnChunks.length) {
                 const part = dependsOnChunks.map(it => `'${it}'`).join(', ');
 
-                console.warn(`\nWarning: Chunk '${name}' depends on chunk(s) ${part}.`);
-                console.log('Depends on:');
-                console.log(deps);
+                this.logger.warn(`\nWarning: Chunk '${name}' depends on chunk(s) ${part}.`);
+                this.logger.log('Depends on:');
+                this.logger.log(deps);
+
+                this.logger.log('\nRecommended to fix.');
 
-                console.log('\nRecommended to fix.');
+                warnings.push({
+                    category: 'crossChunk',
+                    message: `Chunk '${name}' depends on chunk(s) ${part}: ${deps.join(', ')}.`,
+                    chunk: name,
+                    chunks: dependsOnChunks,
+                    modules: deps,
+                });
             }
         });
 
         const notBundledModules = [];
 
-        this.config.order.forEach(name => {
-            notBundledMap[name]
+        this.order.forEach(name => {
+            const chunkNotBundledModules = notBundledMap[name]
                 .filter(item => !modules.includes(item))
-                .filter(item => !notBundledModules.includes(item))
-                .forEach(item => notBundledModules.push(item));
+                .filter(item => !notBundledModules.includes(item));
+
+            chunkNotBundledModules.forEach(item => notBundledModules.push(item));
+
+            if (chunkNotBundledModules.length) {
+                warnings.push({
+                    category: 'notBundled',
+                    message: `Chunk '${name}' does not bundle: ${chunkNotBundledModules.join(', ')}.`,
+                    chunk: name,
+                    modules: chunkNotBundledModules,
+                });
+            }
         });
 
         if (notBundledModules.length) {
@@ -179,15 +405,560 @@ class BundlerGeneral {
                 .map(item => ' ' + item)
                 .join('\n');
 
-            console.log(`\nNot bundled:\n${part}`);
+            this.logger.log(`\nNot bundled:\n${part}`);
+        }
+
+        this.#checkCycles(warnings);
+
+        this.warnings = warnings;
+
+        warnings.forEach(item => this.logger.emit(warningEventMap[item.category], item));
+
+        this.#checkStrict(warnings);
+
+        if (this.config.dryRun) {
+            Object.defineProperty(plan, 'warnings', {value: warnings});
+
+            return plan;
+        }
+
+        this.bundleFiles = {};
+
+        // The main chunk refers to files of other chunks, so it's finalized last.
+        for (const name of this.order.slice(1)) {
+            this.#finalizeChunk(name, result);
         }
 
+        registrations.forEach(item => {
+            const bundleFile = this.bundleFiles[item.name];
+
+            result[mainName] += this.#obtainRegistrationCode(item.name, item.requires, bundleFile);
+        });
+
         result[mainName] += `Espo.loader.addBundleMapping(${JSON.stringify(mapping)});`
 
+        this.#finalizeChunk(mainName, result);
+
+        this.bundleFiles = Object.fromEntries(
+            this.order.map(name => [name, this.bundleFiles[name]])
+        );
+
+        if (this.config.manifestFile) {
+            fs.mkdirSync(pathUtil.dirname(this.config.manifestFile), {recursive: true});
+            fs.writeFileSync(this.config.manifestFile, JSON.stringify(this.bundleFiles, null, '  '), 'utf-8');
+        }
+
+        this.report = this.#obtainReport(result);
+
+        this.#writeReport();
+        this.#writeGraph(bundler);
+
+        if (bundler.parseCache) {
+            bundler.parseCache.write();
+        }
+
+        Object.defineProperty(result, 'warnings', {value: warnings});
+
         return result;
     }
 
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * A dependency graph of all modules found by lookup patterns. Chunks are taken from the last run,
+     * `null` if a module is not bundled.
+     *
+     * @return {{
+     *   modules: Object.<string, {
+     *     file: string,
+     *     chunk: string|null,
+     *     deps: string[],
+     *     lazyDeps: string[],
+     *     libs: string[],
+     *   }>,
+     * }}
+     */
+    obtainModuleGraph() {
+        return this.#obtainModuleGraph(this.#createBundler());
+    }
+
+    /**
+     * @param {Bundler} bundler
+     * @return {{modules: Object.<string, Object>}}
+     */
+    #obtainModuleGraph(bundler) {
+        let patterns = [].concat(this.config.lookupPatterns);
+
+        for (const name in this.config.chunks) {
+            patterns = patterns.concat(this.config.chunks[name].lookupPatterns ?? []);
+        }
+
+        patterns = patterns.filter((pattern, i) => patterns.indexOf(pattern) === i);
+
+        const graph = bundler.obtainModuleGraph(patterns);
+
+        const libIds = this.libs
+            .filter(item => item.amdId)
+            .map(item => item.amdId);
+
+        /** @type {Object.<string, string>} */
+        const moduleChunkMap = {};
+
+        for (const name of this.order) {
+            (this.chunkDataMap[name]?.modules ?? [])
+                .filter(module => !(module in moduleChunkMap))
+                .forEach(module => moduleChunkMap[module] = name);
+        }
+
+        const modules = {};
+
+        for (const module in graph) {
+            const deps = graph[module].deps;
+            const isLib = dep => dep.includes('!') || libIds.includes(dep);
+
+            modules[module] = {
+                file: graph[module].file,
+                chunk: moduleChunkMap[module] ?? null,
+                deps: deps.filter(dep => !isLib(dep)),
+                lazyDeps: graph[module].lazyDeps,
+                libs: deps.filter(dep => isLib(dep)),
+            };
+        }
+
+        return {modules: modules};
+    }
+
+    /**
+     * @param {Bundler} bundler
+     */
+    #writeGraph(bundler) {
+        const files = this.config.graph ?? {};
+
+        if (!files.json && !files.dot) {
+            return;
+        }
+
+        const graph = this.#obtainModuleGraph(bundler);
+
+        if (files.json) {
+            fs.mkdirSync(pathUtil.dirname(files.json), {recursive: true});
+            fs.writeFileSync(files.json, JSON.stringify(graph, null, '  '), 'utf-8');
+        }
+
+        if (files.dot) {
+            fs.mkdirSync(pathUtil.dirname(files.dot), {recursive: true});
+            fs.writeFileSync(files.dot, (new DotRenderer()).render(graph), 'utf-8');
+        }
+    }
+
+    /**
+     * @param {Object.<string, string>} result
+     * @return {{chunks: Object.<string, Object>}}
+     */
+    #obtainReport(result) {
+        const chunks = {};
+
+        for (const name of this.order) {
+            const data = this.chunkDataMap[name];
+
+            chunks[name] = {
+                file: this.bundleFiles[name],
+                size: Buffer.byteLength(result[name]),
+                modules: data.modules.map((module, i) => ({
+                    module: module,
+                    file: data.files[i],
+                    size: data.moduleSizes[module] ?? 0,
+                    chain: data.dependencyChains[module] ?? null,
+                })),
+                templates: data.templateFiles.map(file => ({
+                    file: file,
+                    size: data.templateSizes[file] ?? 0,
+                })),
+                lazyDependencies: data.lazyDependencyModules,
+            };
+        }
+
+        return {chunks: chunks};
+    }
+
+    #writeReport() {
+        const files = this.config.report ?? {};
+
+        if (files.json) {
+            fs.mkdirSync(pathUtil.dirname(files.json), {recursive: true});
+            fs.writeFileSync(files.json, JSON.stringify(this.report, null, '  '), 'utf-8');
+        }
+
+        if (files.html) {
+            fs.mkdirSync(pathUtil.dirname(files.html), {recursive: true});
+            fs.writeFileSync(files.html, (new ReportRenderer()).render(this.report), 'utf-8');
+        }
+    }
+
+    /**
+     * @param {BundleWarningError['warnings']} warnings
+     */
+    #checkCycles(warnings) {
+        const cycles = [];
+
+        for (const name of this.order) {
+            this.chunkDataMap[name].cycles
+                .map(cycle => cycle.concat(cycle[0]))
+                .filter(cycle => !cycles.some(item => item.join() === cycle.join()))
+                .forEach(cycle => cycles.push(cycle));
+        }
+
+        if (!cycles.length) {
+            return;
+        }
+
+        const part = cycles
+            .map(cycle => ' ' + cycle.join(' -> '))
+            .join('\n');
+
+        this.logger.warn(`\nWarning: Circular dependencies:\n${part}`);
+
+        cycles.forEach(cycle => {
+            warnings.push({
+                category: 'circularDependency',
+                message: `Circular dependency: ${cycle.join(' -> ')}.`,
+                modules: cycle.slice(0, -1),
+            });
+        });
+    }
+
+    /**
+     * @param {BundleWarningError['warnings']} warnings
+     */
+    #checkStrict(warnings) {
+        const failures = warnings.filter(item => this.#isStrict(item.category));
+
+        if (!failures.length) {
+            return;
+        }
+
+        const part = failures
+            .map(item => ' ' + item.message)
+            .join('\n');
+
+        throw new BundleWarningError(`Bundling failed with ${failures.length} warning(s):\n${part}`, failures);
+    }
+
+    /**
+     * @param {'crossChunk'|'notBundled'|'circularDependency'} category
+     * @return {boolean}
+     */
+    #isStrict(category) {
+        const strict = this.config.strict ?? false;
+
+        if (typeof strict === 'object') {
+            return strict[category] ?? false;
+        }
+
+        return strict;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string[]} requires
+     * @param {string} bundleFile
+     * @return {string}
+     */
+    #obtainRegistrationCode(name, requires, bundleFile) {
+        let code = '';
+
+        if (requires.length) {
+            const part = JSON.stringify(requires);
+
+            code += `Espo.loader.mapBundleDependencies('${name}', ${part});\n`;
+        }
+
+        code += `Espo.loader.mapBundleFile('${name}', '${bundleFile}');\n`;
+
+        return code;
+    }
+
+    /**
+     * A bundle file with the hash placeholder not resolved.
+     *
+     * @param {string} name
+     * @return {string}
+     */
+    #obtainRawBundleFile(name) {
+        return this.filePattern.replace('{*}', name);
+    }
+
+    /**
+     * The hash is based on contents before minification and on output options.
+     *
+     * @param {string} name
+     * @param {string} contents
+     * @return {string}
+     */
+    #obtainBundleFile(name, contents) {
+        const rawFile = this.#obtainRawBundleFile(name);
+
+        if (!rawFile.includes('{hash}')) {
+            return rawFile;
+        }
+
+        const options = JSON.stringify({
+            minify: this.config.minify ?? false,
+            sourceMaps: this.config.sourceMaps ?? false,
+        });
+
+        const hash = crypto.createHash('sha256')
+            .update(contents)
+            .update(options)
+            .digest('hex')
+            .slice(0, 10);
+
+        return rawFile.replace('{hash}', hash);
+    }
+
+    /**
+     * Resolves a bundle file, minifies a chunk and writes its source map.
+     *
+     * @param {string} name
+     * @param {Object.<string, string>} result
+     */
+    #finalizeChunk(name, result) {
+        const rawFile = this.#obtainRawBundleFile(name);
+        const bundleFile = this.#obtainBundleFile(name, result[name]);
+
+        this.bundleFiles[name] = bundleFile;
+
+        if (bundleFile !== rawFile) {
+            // A single chunk registers itself.
+            result[name] = result[name].replace(
+                `Espo.loader.mapBundleFile('${name}', '${rawFile}');`,
+                `Espo.loader.mapBundleFile('${name}', '${bundleFile}');`
+            );
+        }
+
+        const sourceMap = this.config.sourceMaps ? this.chunkDataMap[name].sourceMap : null;
+
+        let map = sourceMap ? sourceMap.compose(bundleFile) : null;
+
+        if (this.config.minify) {
+            const original = Buffer.byteLength(result[name]);
+
+            const options = typeof this.config.minify === 'object' ? this.config.minify : {};
+
+            // Top-level names are not mangled by default, AMD ids are string literals,
+            // so modules and `Espo.loader` calls keep working.
+            const output = terser.minify_sync(result[name], {
+                ...options,
+                sourceMap: map ? {content: map} : false,
+            });
+
+            result[name] = output.code;
+            map = map ? output.map : null;
+
+            const minified = Buffer.byteLength(result[name]);
+
+            this.sizes[name] = {
+                original: original,
+                minified: minified,
+            };
+
+            this.logger.log(`  Chunk '${name}' minified, ${original} -> ${minified} bytes.`);
+
+            this.logger.emit('chunk:minified', {
+                chunk: name,
+                original: original,
+                minified: minified,
+            });
+        }
+
+        if (!map) {
+            return;
+        }
+
+        fs.mkdirSync(pathUtil.dirname(bundleFile), {recursive: true});
+        fs.writeFileSync(bundleFile + '.map', map, 'utf-8');
+
+        result[name] += `\n//# sourceMappingURL=${pathUtil.basename(bundleFile)}.map`;
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * Get chunks that contain a module. Available after the bundle has been built.
+     *
+     * @param {string} module
+     * @return {string[]}
+     */
+    getModuleChunks(module) {
+        return this.order
+            .filter(name => name in this.chunkDataMap)
+            .filter(name => this.chunkDataMap[name].modules.includes(module));
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * Get chunks that contain a pre-compiled template. Available after the bundle has been built.
+     *
+     * @param {string} file A template file.
+     * @return {string[]}
+     */
+    getTemplateChunks(file) {
+        return this.order
+            .filter(name => name in this.chunkDataMap)
+            .filter(name => this.chunkDataMap[name].templateFiles.includes(file));
+    }
+
+    /**
+     * Files that would be bundled in two or more non-main chunks. Chunks are planned as if
+     * `noDuplicates` was off. Lookup patterns of the chunks sharing the files are needed to find them.
+     * No files are returned if the shared chunk would end up empty.
+     *
+     * @param {Bundler} bundler
+     * @return {{files: string[], lookupPatterns: string[]}}
+     */
+    #obtainSharedFiles(bundler) {
+        const minSize = this.config.sharedChunk.minSize ?? 0;
+
+        const planFiles = (name, ignoreFiles) => {
+            if (!this.config.chunks[name].patterns) {
+                return [];
+            }
+
+            const data = bundler.bundle({...this.#obtainBundleParams(name, ignoreFiles), dryRun: true});
+
+            // Inlined resources are not shared.
+            return data.files.filter((file, i) => !data.modules[i].includes('!'));
+        };
+
+        const mainFiles = planFiles(this.config.order[0], []);
+
+        /** @type {Object.<string, string[]>} */
+        const fileChunksMap = {};
+
+        this.config.order.slice(1).forEach(name => {
+            planFiles(name, mainFiles).forEach(file => {
+                if (!(file in fileChunksMap)) {
+                    fileChunksMap[file] = [];
+                }
+
+                fileChunksMap[file].push(name);
+            });
+        });
+
+        const files = Object.keys(fileChunksMap)
+            .filter(file => fileChunksMap[file].length > 1)
+            .sort();
+
+        const size = files.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+
+        if (!files.length || size < minSize) {
+            return {files: [], lookupPatterns: []};
+        }
+
+        const lookupPatterns = [];
+
+        files
+            .flatMap(file => fileChunksMap[file])
+            .flatMap(name => this.config.chunks[name].lookupPatterns ?? [])
+            .filter(pattern => !lookupPatterns.includes(pattern))
+            .forEach(pattern => lookupPatterns.push(pattern));
+
+        const params = this.#obtainSharedChunkParams(files, lookupPatterns);
+
+        const data = bundler.bundle({
+            ...this.#obtainBundleParams(this.sharedChunkName, mainFiles, params),
+            dryRun: true,
+        });
+
+        if (!data.modules.length) {
+            return {files: [], lookupPatterns: []};
+        }
+
+        return {
+            files: files,
+            lookupPatterns: lookupPatterns,
+        };
+    }
+
+    /**
+     * @param {string} name
+     * @return {BundlerChunkParams}
+     */
+    #obtainChunkParams(name) {
+        if (name !== this.sharedChunkName) {
+            return this.config.chunks[name];
+        }
+
+        return this.#obtainSharedChunkParams(this.sharedFiles, this.sharedLookupPatterns);
+    }
+
+    /**
+     * @param {string[]} files
+     * @param {string[]} lookupPatterns
+     * @return {{files: string[], patterns: string[], lookupPatterns: string[]}}
+     */
+    #obtainSharedChunkParams(files, lookupPatterns) {
+        const basePath = this.config.basePath ?? 'client';
+
+        return {
+            files: files.map(file => file.slice(basePath.length + 1)),
+            patterns: [],
+            lookupPatterns: lookupPatterns,
+        };
+    }
+
     /**
+     * @param {string} name
+     * @param {string[]} ignoreFiles
+     * @param {Object} [params] Chunk params. If not passed, obtained by the name.
+     * @return {Object}
+     */
+    #obtainBundleParams(name, ignoreFiles, params) {
+        params = params ?? this.#obtainChunkParams(name);
+
+        const lookupPatterns = []
+            .concat(this.config.lookupPatterns)
+            .concat(params.lookupPatterns || []);
+
+        return {
+            name: name,
+            files: params.files,
+            patterns: params.patterns,
+            ignorePatterns: params.ignorePatterns,
+            lookupPatterns: lookupPatterns,
+            libs: this.libs,
+            ignoreFullPathFiles: ignoreFiles,
+            ignoreFiles: params.ignoreFiles,
+            dependentOn: params.dependentOn,
+            mapDependencies: params.mapDependencies,
+            includeLazyDependencies: params.includeLazyDependencies,
+        };
+    }
+
+    /**
+     * @return {Bundler}
+     */
+    #createBundler() {
+        let parseCache = null;
+
+        if (this.config.cache ?? true) {
+            const file = (this.config.transpiledPath ?? 'client/lib/transpiled') + '/' + parseCacheFileName;
+            // Module names depend on paths.
+            const fingerprint = JSON.stringify([this.config.basePath ?? 'client', this.config.modulePaths ?? {}]);
+
+            parseCache = new ParseCache(file, fingerprint);
+            parseCache.read();
+        }
+
+        return new Bundler(
+            this.config.modulePaths,
+            this.config.basePath,
+            this.config.transpiledPath,
+            this.config.prefixHandlers,
+            parseCache
+        );
+    }
+
+    /**
+     * @param {Bundler} bundler
      * @param {string} name
      * @param {boolean} isMain
      * @param {{files: [], templateFiles: []}} alreadyBundled
@@ -199,51 +970,48 @@ class BundlerGeneral {
      *   notBundledModules: string[],
      *   dependencyModules: [],
      *   directDependencyModules: string[],
+     *   sourceMap: Object|null,
+     *   moduleSizes: Object.<string, number>,
+     *   dependencyChains: Object.<string, string[]>,
+     *   templateSizes: Object.<string, number>,
+     *   cycles: string[][],
+     *   lazyDependencyModules: string[],
      * }}
      */
-    #bundleChunk(name, isMain, alreadyBundled) {
+    #bundleChunk(bundler, name, isMain, alreadyBundled) {
         let contents = '';
         let modules = [];
         let dependencyModules = [];
         let directDependencyModules = [];
+        let sourceMap = null;
+        let moduleSizes = {};
+        let dependencyChains = {};
+        let templateSizes = {};
+        let cycles = [];
+        let lazyDependencyModules = [];
 
-        const params = this.config.chunks[name];
-
-        const patterns = params.patterns;
-
-        const lookupPatterns = []
-            .concat(this.config.lookupPatterns)
-            .concat(params.lookupPatterns || []);
+        const params = this.#obtainChunkParams(name);
 
         let bundledFiles = [];
         let bundledTemplateFiles = [];
         let notBundledModules = [];
 
         if (params.patterns) {
-            const bundler = new Bundler(
-                this.config.modulePaths,
-                this.config.basePath,
-                this.config.transpiledPath
-            );
-
             // The main bundle is always loaded, duplicates are not needed.
             let ignoreFiles = [].concat(this.mainBundleFiles);
 
+            if (name !== this.sharedChunkName) {
+                ignoreFiles = ignoreFiles.concat(this.sharedFiles);
+            }
+
             if (params.noDuplicates) {
                 ignoreFiles = ignoreFiles.concat(alreadyBundled.files);
             }
 
             const data = bundler.bundle({
-                name: name,
-                files: params.files,
-                patterns: patterns,
-                ignorePatterns: params.ignorePatterns,
-                lookupPatterns: lookupPatterns,
-                libs: this.libs,
-                ignoreFullPathFiles: ignoreFiles,
-                ignoreFiles: params.ignoreFiles,
-                dependentOn: params.dependentOn,
-                mapDependencies: params.mapDependencies,
+                ...this.#obtainBundleParams(name, ignoreFiles),
+                dryRun: this.config.dryRun,
+                sourceMaps: this.config.sourceMaps,
             });
 
             contents += data.contents;
@@ -258,6 +1026,11 @@ class BundlerGeneral {
             notBundledModules = data.notBundledModules;
             dependencyModules = data.dependencyModules;
             directDependencyModules = data.directDependencyModules;
+            sourceMap = data.sourceMap;
+            moduleSizes = data.moduleSizes;
+            dependencyChains = data.dependencyChains;
+            cycles = data.cycles;
+            lazyDependencyModules = data.lazyDependencyModules;
         }
 
         // Pre-compiled templates turned out to be slower if too many are bundled.
@@ -273,6 +1046,7 @@ class BundlerGeneral {
 
             contents += '\n' + data.contents;
             bundledTemplateFiles = data.files;
+            templateSizes = data.sizes;
         }
 
         return {
@@ -283,6 +1057,12 @@ class BundlerGeneral {
             notBundledModules: notBundledModules,
             dependencyModules: dependencyModules,
             directDependencyModules: directDependencyModules,
+            sourceMap: sourceMap,
+            moduleSizes: moduleSizes,
+            dependencyChains: dependencyChains,
+            templateSizes: templateSizes,
+            cycles: cycles,
+            lazyDependencyModules: lazyDependencyModules,
         };
     }
 }
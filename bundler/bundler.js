@@ -29,12 +29,23 @@
 const typescript = require('typescript');
 const fs = require('fs');
 const {globSync} = require('glob');
+const SourceMapComposer = require('./source-map-composer');
+const LibPrefixHandler = require('./lib-prefix-handler');
+const ModuleSyntax = require('../transpiler/module-syntax');
+
+/**
+ * Cycles among many mutually dependent modules can be too many to find and report.
+ */
+const maxCycleCount = 100;
 
 /**
  * Normalizes and concatenates Espo modules.
  *
  * Modules dependent on not bundled libs are ignored. Modules dependent on such modules
  * are ignored as well and so on.
+ *
+ * Found files and parsed module data are kept for the lifetime of an instance, so that
+ * an instance can be reused for multiple chunks.
  */
 class Bundler {
 
@@ -42,12 +53,27 @@ class Bundler {
      * @param {Object.<string, string>} modPaths
      * @param {string} [basePath]
      * @param {string} [transpiledPath]
+     * @param {Object.<string, import('./prefix-handler')>} [prefixHandlers]
+     * @param {import('./parse-cache')|null} [parseCache]
      */
-    constructor(modPaths, basePath, transpiledPath) {
+    constructor(modPaths, basePath, transpiledPath, prefixHandlers, parseCache) {
         this.modPaths = modPaths;
         this.basePath = basePath ?? 'client';
         this.transpiledPath = transpiledPath ?? 'client/lib/transpiled';
 
+        /** @type {Object.<string, import('./prefix-handler')>} */
+        this.prefixHandlers = {
+            lib: new LibPrefixHandler(),
+            ...prefixHandlers,
+        };
+
+        this.parseCache = parseCache ?? null;
+
+        /** @type {Object.<string, {deps: string[], lazyDeps: string[], name: string}|null>} */
+        this.moduleDataMap = {};
+        /** @type {Object.<string, string[]>} */
+        this.globMap = {};
+
         this.srcPath = this.basePath + '/src';
     }
 
@@ -64,6 +90,9 @@ class Bundler {
      *     ignoreFullPathFiles?: string[],
      *     dependentOn?: string[],
      *     mapDependencies?: boolean,
+     *     includeLazyDependencies?: boolean,
+     *     dryRun?: boolean,
+     *     sourceMaps?: boolean,
      *     libs: {
      *         src?: string,
      *         bundle?: boolean,
@@ -77,6 +106,11 @@ class Bundler {
      *     notBundledModules: string[],
      *     dependencyModules: string[],
      *     directDependencyModules: string[],
+     *     sourceMap: SourceMapComposer|null,
+     *     moduleSizes: Object.<string, number>,
+     *     dependencyChains: Object.<string, string[]>,
+     *     cycles: string[][],
+     *     lazyDependencyModules: string[],
      * }}
      */
     bundle(params) {
@@ -99,7 +133,15 @@ class Bundler {
 
         const notBundledModules = [];
 
-        const {files: sortedFiles, depModules, directDepModules} = this.#sortFiles(
+        const {
+            files: sortedFiles,
+            depModules,
+            directDepModules,
+            dependencyChains,
+            cycles,
+            lazyDepModules,
+            resources,
+        } = this.#sortFiles(
             params.name,
             fullPathFiles,
             allFiles,
@@ -108,28 +150,118 @@ class Bundler {
             notBundledModules,
             params.dependentOn || null,
             params.mapDependencies,
-            params.libs ?? []
+            params.libs ?? [],
+            params.includeLazyDependencies ?? false
         );
 
         let contents = '';
 
-        this.#mapToTraspiledFiles(sortedFiles)
-            .forEach(file => contents += this.#normalizeSourceFile(file) + '\n');
+        const sourceMap = params.sourceMaps ? new SourceMapComposer() : null;
+        const fileModules = sortedFiles.map(file => this.#obtainModuleName(file));
+
+        // Resources have no dependencies, they go first to be defined before dependent modules.
+        const modules = resources.map(item => item.id).concat(fileModules);
+
+        /** @type {Object.<string, number>} */
+        const moduleSizes = {};
 
-        const modules = sortedFiles.map(file => this.#obtainModuleName(file));
+        // Transpiled files may be not yet available when a build is only planned.
+        if (!params.dryRun) {
+            resources.forEach(item => {
+                const code = this.#obtainResourceCode(item.id, item.file);
+
+                contents += code + '\n';
+                moduleSizes[item.id] = Buffer.byteLength(code + '\n');
+
+                if (sourceMap) {
+                    sourceMap.addIdentity(code, item.file);
+                }
+            });
+
+            this.#mapToTraspiledFiles(sortedFiles).forEach((file, i) => {
+                const code = this.#normalizeSourceFile(file);
+
+                contents += code + '\n';
+                moduleSizes[fileModules[i]] = Buffer.byteLength(code + '\n');
+
+                if (sourceMap) {
+                    this.#addToSourceMap(sourceMap, code, file, sortedFiles[i]);
+                }
+            });
+        }
 
         const filteredDirectDepModules = directDepModules.filter(m => !modules.includes(m));
 
         return {
             contents: contents,
-            files: sortedFiles,
+            files: resources.map(item => item.file).concat(sortedFiles),
             modules: modules,
             notBundledModules: notBundledModules,
             dependencyModules: depModules,
             directDependencyModules: filteredDirectDepModules,
+            sourceMap: sourceMap,
+            moduleSizes: moduleSizes,
+            dependencyChains: dependencyChains,
+            cycles: cycles,
+            lazyDependencyModules: lazyDepModules,
         };
     }
 
+    /**
+     * Modules found by patterns with their direct dependencies, including lib and plugin ones.
+     * Lazy dependencies are loaded with a dynamic `import()` or `require([...])`.
+     *
+     * @param {string[]} patterns
+     * @return {Object.<string, {file: string, deps: string[], lazyDeps: string[]}>}
+     */
+    obtainModuleGraph(patterns) {
+        /** @type {Object.<string, {file: string, deps: string[], lazyDeps: string[]}>} */
+        const graph = {};
+
+        this.#obtainFiles(patterns).forEach(file => {
+            const data = this.#obtainModuleData(file);
+
+            if (!data) {
+                return;
+            }
+
+            graph[data.name] = {
+                file: file,
+                deps: data.deps,
+                lazyDeps: data.lazyDeps,
+            };
+        });
+
+        return graph;
+    }
+
+    /**
+     * Transpiled files are mapped with their own maps. Others are mapped as is.
+     *
+     * @param {SourceMapComposer} sourceMap
+     * @param {string} code
+     * @param {string} file A transpiled file.
+     * @param {string} sourceFile
+     */
+    #addToSourceMap(sourceMap, code, file, sourceFile) {
+        if (fs.existsSync(file + '.map')) {
+            let map = null;
+
+            try {
+                map = JSON.parse(fs.readFileSync(file + '.map', 'utf-8'));
+            }
+            catch (e) {}
+
+            if (map && map.mappings !== undefined) {
+                sourceMap.addMapped(code, sourceFile, map);
+
+                return;
+            }
+        }
+
+        sourceMap.addIdentity(code, sourceFile);
+    }
+
     /**
      * @param {string[]} files
      * @return {string[]}
@@ -156,8 +288,14 @@ class Bundler {
         ignorePatterns = this.#normalizePaths(ignorePatterns || []);
 
         this.#normalizePaths(patterns).forEach(pattern => {
-            const itemFiles = globSync(pattern, {ignore: ignorePatterns})
-                .map(file => file.replaceAll('\\', '/'))
+            const key = JSON.stringify([pattern, ignorePatterns]);
+
+            if (!(key in this.globMap)) {
+                this.globMap[key] = globSync(pattern, {ignore: ignorePatterns})
+                    .map(file => file.replaceAll('\\', '/'));
+            }
+
+            const itemFiles = this.globMap[key]
                 .filter(file => !ignoreFiles.includes(file));
 
             files = files.concat(itemFiles);
@@ -188,10 +326,15 @@ class Bundler {
      *     bundle?: boolean,
      *     amdId?: string,
      * }[]} libs
+     * @param {boolean} includeLazyDependencies
      * @return {{
      *     files: string[],
      *     depModules: string[],
      *     directDepModules: string[],
+     *     dependencyChains: Object.<string, string[]>,
+     *     cycles: string[][],
+     *     lazyDepModules: string[],
+     *     resources: {id: string, file: string}[],
      * }}
      */
     #sortFiles(
@@ -203,10 +346,19 @@ class Bundler {
         notBundledModules,
         dependentOn,
         mapDependencies,
-        libs
+        libs,
+        includeLazyDependencies
     ) {
-        /** @var {Object.<string, string[]>} */
+        /**
+         * Dependencies to traverse. Lazy ones are included if needed.
+         *
+         * @var {Object.<string, string[]>}
+         */
         const moduleDepsMap = {};
+        /** @var {Object.<string, string[]>} */
+        const staticDepsMap = {};
+        /** @var {Object.<string, string[]>} */
+        const lazyDepsMap = {};
         const standalonePathList = [];
         let modules = [];
         const moduleFileMap = {};
@@ -217,7 +369,8 @@ class Bundler {
 
         const ignoreModules = ignoreFiles.map(file => this.#obtainModuleName(file));
 
-        allFiles.forEach(file => {
+        // Glob order is not guaranteed, sorted to have the same output on any machine.
+        [...allFiles].sort().forEach(file => {
             const data = this.#obtainModuleData(file);
 
             const isTarget = files.includes(file);
@@ -230,7 +383,9 @@ class Bundler {
                 return;
             }
 
-            moduleDepsMap[data.name] = data.deps;
+            moduleDepsMap[data.name] = includeLazyDependencies ? data.deps.concat(data.lazyDeps) : data.deps;
+            staticDepsMap[data.name] = data.deps;
+            lazyDepsMap[data.name] = data.lazyDeps;
             moduleFileMap[data.name] = file;
 
             if (isTarget) {
@@ -238,6 +393,9 @@ class Bundler {
             }
         });
 
+        // Lazy dependencies don't affect the load order.
+        const cycles = this.#obtainCycles(staticDepsMap);
+
         const depModules = [];
         const allDepModules = [];
 
@@ -257,41 +415,33 @@ class Bundler {
                     .forEach(item => depModules.push(item));
             });
 
+        const targetModules = modules;
+
         modules = modules
             .concat(depModules)
             .filter(module => !ignoreModules.includes(module));
 
-        /** @var {string[]} */
-        const discardedModules = [];
-        /** @var {Object.<string, number>} */
-        const depthMap = {};
-        /** @var {string[]} */
-        const pickedModules = [];
+        const reachableModules = this.#obtainReachableModules(modules, moduleDepsMap);
 
-        for (const module of modules) {
-            this.#buildTreeItem(
-                module,
-                moduleDepsMap,
-                depthMap,
-                ignoreLibs,
-                dependentOn,
-                discardedModules,
-                pickedModules
-            );
-        }
+        // Modules dependent on not bundled libs, directly or not.
+        const discardedModules = this.#obtainDependentModules(
+            depName => ignoreLibs.includes(this.#obtainLibId(depName)),
+            moduleDepsMap
+        ).filter(module => reachableModules.has(module));
 
         if (dependentOn) {
-            modules = pickedModules;
+            modules = this.#obtainDependentModules(
+                depName => dependentOn.includes(this.#obtainLibId(depName)),
+                moduleDepsMap
+            ).filter(module => reachableModules.has(module));
         }
 
-        modules.sort((v1, v2) => {
-            return depthMap[v2] - depthMap[v1];
-        });
-
         discardedModules.forEach(item => notBundledModules.push(item));
 
         modules = modules.filter(item => !discardedModules.includes(item));
 
+        modules = this.#sortTopologically(modules, staticDepsMap);
+
 
         for (const m of modules) {
             (moduleDepsMap[m] || [])
@@ -321,11 +471,351 @@ class Bundler {
 
         modulePaths = modulePaths.filter(path => path !== null);
 
+        const resources = this.#obtainResources(modules, moduleDepsMap);
+        const resourceIds = resources.map(item => item.id);
+
+        // Left for the loader to load on demand.
+        const lazyDepModules = [];
+
+        for (const m of modules) {
+            (lazyDepsMap[m] || [])
+                .filter(it => !modules.includes(it) && !ignoreModules.includes(it))
+                .filter(it => !lazyDepModules.includes(it))
+                .forEach(it => lazyDepModules.push(it));
+        }
+
+        const dependencyChains = this.#obtainDependencyChains(targetModules, moduleDepsMap);
+
+        for (const module in dependencyChains) {
+            if (!modules.includes(module)) {
+                delete dependencyChains[module];
+            }
+        }
+
         return {
             files: standalonePathList.concat(modulePaths),
-            depModules: allDepModules,
+            depModules: allDepModules
+                .filter(item => !resourceIds.includes(item))
+                .filter(item => this.#isDependency(item)),
             directDepModules: directDepModules,
+            dependencyChains: dependencyChains,
+            cycles: cycles,
+            lazyDepModules: lazyDepModules.sort(),
+            resources: resources,
+        };
+    }
+
+    /**
+     * Prefixed dependencies to be inlined.
+     *
+     * @param {string[]} modules
+     * @param {Object.<string, string[]>} map
+     * @return {{id: string, file: string}[]}
+     */
+    #obtainResources(modules, map) {
+        const resources = [];
+
+        for (const module of modules) {
+            for (const depName of map[module] || []) {
+                if (!depName.includes('!') || resources.some(item => item.id === depName)) {
+                    continue;
+                }
+
+                const [prefix, id] = this.#splitPrefix(depName);
+                const file = this.prefixHandlers[prefix]?.resolve(id) ?? null;
+
+                if (file === null) {
+                    continue;
+                }
+
+                resources.push({id: depName, file: file});
+            }
+        }
+
+        return resources.sort((v1, v2) => v1.id < v2.id ? -1 : 1);
+    }
+
+    /**
+     * @param {string} depName
+     * @param {string} file
+     * @return {string}
+     */
+    #obtainResourceCode(depName, file) {
+        const [prefix, id] = this.#splitPrefix(depName);
+
+        const value = this.prefixHandlers[prefix].obtainValueCode(fs.readFileSync(file, 'utf-8'), id);
+
+        return `define(${JSON.stringify(depName)}, [], function () {\n    return ${value};\n});`;
+    }
+
+    /**
+     * A lib a dependency stands for. Not prefixed dependencies can be libs too.
+     *
+     * @param {string} depName
+     * @return {string|null}
+     */
+    #obtainLibId(depName) {
+        if (!depName.includes('!')) {
+            return depName;
+        }
+
+        const [prefix, id] = this.#splitPrefix(depName);
+
+        return this.prefixHandlers[prefix]?.obtainLibId(id) ?? null;
+    }
+
+    /**
+     * @param {string} depName
+     * @return {boolean}
+     */
+    #isDependency(depName) {
+        if (!depName.includes('!')) {
+            return true;
+        }
+
+        const [prefix, id] = this.#splitPrefix(depName);
+
+        return this.prefixHandlers[prefix]?.isDependency(id) ?? true;
+    }
+
+    /**
+     * @param {string} depName
+     * @return {[string, string]}
+     */
+    #splitPrefix(depName) {
+        const index = depName.indexOf('!');
+
+        return [depName.slice(0, index), depName.slice(index + 1)];
+    }
+
+    /**
+     * Elementary cycles, found within groups of mutually dependent modules (Johnson's algorithm).
+     * A cycle starts with its lowest module ID. Up to `maxCycleCount` cycles per group are found.
+     *
+     * @param {Object.<string, string[]>} map
+     * @return {string[][]}
+     */
+    #obtainCycles(map) {
+        const obtainDeps = module => (map[module] || [])
+            .filter(depName => !depName.includes('!'))
+            .filter((depName, i, list) => list.indexOf(depName) === i)
+            .sort();
+
+        /** @type {Object.<string, string[]>} */
+        const depsMap = {};
+
+        Object.keys(map).forEach(module => depsMap[module] = obtainDeps(module));
+
+        return this.#obtainComponents(depsMap)
+            .filter(modules => modules.length > 1 || obtainDeps(modules[0]).includes(modules[0]))
+            .flatMap(modules => this.#obtainComponentCycles(modules, obtainDeps));
+    }
+
+    /**
+     * @param {string[]} modules Sorted.
+     * @param {function(string): string[]} obtainDeps
+     * @return {string[][]}
+     */
+    #obtainComponentCycles(modules, obtainDeps) {
+        /** @type {string[][]} */
+        const cycles = [];
+
+        modules.forEach((start, i) => {
+            // Cycles through previous modules are already found.
+            const allowed = new Set(modules.slice(i));
+            const blocked = new Set();
+            /** @type {Object.<string, Set<string>>} */
+            const blockedMap = {};
+            const stack = [];
+
+            const obtainAllowedDeps = module => obtainDeps(module).filter(depName => allowed.has(depName));
+
+            const unblock = module => {
+                blocked.delete(module);
+
+                for (const item of blockedMap[module] ?? []) {
+                    blockedMap[module].delete(item);
+
+                    if (blocked.has(item)) {
+                        unblock(item);
+                    }
+                }
+            };
+
+            const visit = module => {
+                let isFound = false;
+
+                stack.push(module);
+                blocked.add(module);
+
+                for (const depName of obtainAllowedDeps(module)) {
+                    if (cycles.length >= maxCycleCount) {
+                        break;
+                    }
+
+                    if (depName === start) {
+                        cycles.push([...stack]);
+                        isFound = true;
+
+                        continue;
+                    }
+
+                    if (!blocked.has(depName) && visit(depName)) {
+                        isFound = true;
+                    }
+                }
+
+                if (isFound) {
+                    unblock(module);
+                }
+                else {
+                    obtainAllowedDeps(module).forEach(depName => {
+                        if (!(depName in blockedMap)) {
+                            blockedMap[depName] = new Set();
+                        }
+
+                        blockedMap[depName].add(module);
+                    });
+                }
+
+                stack.pop();
+
+                return isFound;
+            };
+
+            if (cycles.length < maxCycleCount) {
+                visit(start);
+            }
+        });
+
+        return cycles;
+    }
+
+    /**
+     * Strongly connected components, Tarjan's algorithm. A module not in a cycle makes
+     * a component alone. Modules in a component are sorted, components are sorted
+     * by the first module.
+     *
+     * @param {Object.<string, string[]>} map
+     * @return {string[][]}
+     */
+    #obtainComponents(map) {
+        /** @type {string[][]} */
+        const components = [];
+        /** @type {Object.<string, number>} */
+        const indexMap = {};
+        /** @type {Object.<string, number>} */
+        const lowMap = {};
+        const stack = [];
+        let counter = 0;
+
+        const visit = module => {
+            indexMap[module] = counter;
+            lowMap[module] = counter;
+            counter++;
+
+            stack.push(module);
+
+            for (const depName of map[module] || []) {
+                if (!(depName in indexMap)) {
+                    visit(depName);
+
+                    lowMap[module] = Math.min(lowMap[module], lowMap[depName]);
+
+                    continue;
+                }
+
+                if (stack.includes(depName)) {
+                    lowMap[module] = Math.min(lowMap[module], indexMap[depName]);
+                }
+            }
+
+            if (lowMap[module] !== indexMap[module]) {
+                return;
+            }
+
+            components.push(stack.splice(stack.indexOf(module)).sort());
         };
+
+        Object.keys(map).sort()
+            .filter(module => !(module in indexMap))
+            .forEach(module => visit(module));
+
+        return components.sort((a, b) => a[0] < b[0] ? -1 : 1);
+    }
+
+    /**
+     * A breadth-first search within a group, starting from its first module.
+     *
+     * @param {string[]} modules
+     * @param {function(string): string[]} obtainDeps
+     * @return {string[]}
+     */
+    #obtainShortestCycle(modules, obtainDeps) {
+        const start = modules[0];
+        /** @type {Object.<string, string>} */
+        const previousMap = {};
+        const queue = [start];
+
+        while (queue.length) {
+            const module = queue.shift();
+
+            for (const depName of obtainDeps(module).filter(it => modules.includes(it)).sort()) {
+                if (depName === start) {
+                    const path = [module];
+
+                    while (path[0] !== start) {
+                        path.unshift(previousMap[path[0]]);
+                    }
+
+                    return path;
+                }
+
+                if (depName in previousMap) {
+                    continue;
+                }
+
+                previousMap[depName] = module;
+                queue.push(depName);
+            }
+        }
+
+        return [start];
+    }
+
+    /**
+     * Shortest chains from target modules to modules they pull in.
+     *
+     * @param {string[]} targetModules
+     * @param {Object.<string, string[]>} map
+     * @return {Object.<string, string[]>}
+     */
+    #obtainDependencyChains(targetModules, map) {
+        /** @type {Object.<string, string[]>} */
+        const chains = {};
+        const queue = [...targetModules];
+        const visited = [...targetModules];
+
+        targetModules.forEach(module => chains[module] = [module]);
+
+        while (queue.length) {
+            const module = queue.shift();
+
+            for (const depName of map[module] || []) {
+                if (depName.includes('!') || visited.includes(depName)) {
+                    continue;
+                }
+
+                visited.push(depName);
+                queue.push(depName);
+
+                chains[depName] = [...chains[module], depName];
+            }
+        }
+
+        targetModules.forEach(module => delete chains[module]);
+
+        return chains;
     }
 
     /**
@@ -341,10 +831,13 @@ class Bundler {
         const deps = map[name] || [];
 
         deps.forEach(depName => {
-            if (!list.includes(depName)) {
-                list.push(depName);
+            // Already traversed or being traversed, prevents infinite recursion on cycles.
+            if (list.includes(depName)) {
+                return;
             }
 
+            list.push(depName);
+
             if (depName.includes('!')) {
                 return;
             }
@@ -356,106 +849,157 @@ class Bundler {
     }
 
     /**
-     * @param {string} module
+     * @param {string[]} modules
      * @param {Object.<string, string[]>} map
-     * @param {Object.<string, number>} depthMap
-     * @param {string[]} ignoreLibs
-     * @param {string[]} dependentOn
-     * @param {string[]} discardedModules
-     * @param {string[]} pickedModules
-     * @param {number} [depth]
-     * @param {string[]} [path]
-     */
-    #buildTreeItem(
-        module,
-        map,
-        depthMap,
-        ignoreLibs,
-        dependentOn,
-        discardedModules,
-        pickedModules,
-        depth,
-        path
-    ) {
-        /** @var {string[]} */
-        const deps = map[module] || [];
-        depth = depth || 0;
-        path = [].concat(path || []);
+     * @return {Set<string>}
+     */
+    #obtainReachableModules(modules, map) {
+        const reachable = new Set(modules);
+        const queue = [...modules];
 
-        path.push(module);
+        while (queue.length) {
+            const module = queue.shift();
 
-        if (!(module in depthMap)) {
-            depthMap[module] = depth;
-        }
-        else if (depth > depthMap[module]) {
-            depthMap[module] = depth;
-        }
+            for (const depName of map[module] || []) {
+                if (reachable.has(depName)) {
+                    continue;
+                }
 
-        if (deps.length === 0) {
-            return;
+                reachable.add(depName);
+                queue.push(depName);
+            }
         }
 
-        /**
-         * @param {string} depName
-         * @return {boolean}
-         */
-        const isLib = depName => {
-            if (depName.startsWith('lib!')) {
-                depName = depName.slice(4);
-            }
+        return reachable;
+    }
 
-            return ignoreLibs.includes(depName);
-        }
+    /**
+     * Modules having a matching dependency, directly or through other modules.
+     *
+     * @param {function(string): boolean} isMatched
+     * @param {Object.<string, string[]>} map
+     * @return {string[]}
+     */
+    #obtainDependentModules(isMatched, map) {
+        /** @type {Object.<string, string[]>} */
+        const dependentsMap = {};
+        const queue = [];
+
+        for (const module in map) {
+            for (const depName of map[module]) {
+                if (isMatched(depName) && !queue.includes(module)) {
+                    queue.push(module);
+                }
 
-        /**
-         * @param {string} depName
-         * @return {boolean}
-         */
-        const isDependentOnMatched = depName => {
-            if (!dependentOn) {
-                return false;
+                dependentsMap[depName] = dependentsMap[depName] ?? [];
+                dependentsMap[depName].push(module);
             }
+        }
+
+        const dependents = new Set(queue);
 
-            if (depName.startsWith('lib!')) {
-                depName = depName.slice(4);
+        while (queue.length) {
+            const module = queue.shift();
+
+            for (const dependent of dependentsMap[module] ?? []) {
+                if (dependents.has(dependent)) {
+                    continue;
+                }
+
+                dependents.add(dependent);
+                queue.push(dependent);
             }
+        }
 
-            return dependentOn.includes(depName);
+        return [...dependents].sort();
+    }
+
+    /**
+     * Dependencies go before dependent modules. Ties are broken by module ID, so that the order
+     * does not depend on the order files are found in. A cycle is broken at the module with
+     * the lowest ID, among cycles not dependent on other pending modules.
+     *
+     * @param {string[]} modules
+     * @param {Object.<string, string[]>} map
+     * @return {string[]}
+     */
+    #sortTopologically(modules, map) {
+        const all = [...new Set(modules)].sort();
+        const moduleSet = new Set(all);
+
+        /** @type {Object.<string, number>} */
+        const pendingCountMap = {};
+        /** @type {Object.<string, string[]>} */
+        const dependentsMap = {};
+        /** @type {Object.<string, string[]>} */
+        const depsMap = {};
+
+        for (const module of all) {
+            const deps = (map[module] || [])
+                .filter((depName, i, list) => list.indexOf(depName) === i)
+                .filter(depName => depName !== module && moduleSet.has(depName));
+
+            pendingCountMap[module] = deps.length;
+            depsMap[module] = deps;
+
+            deps.forEach(depName => {
+                dependentsMap[depName] = dependentsMap[depName] ?? [];
+                dependentsMap[depName].push(module);
+            });
         }
 
-        for (const depName of deps) {
-            if (isLib(depName)) {
-                path
-                    .filter(item => !discardedModules.includes(item))
-                    .forEach(item => discardedModules.push(item));
+        const sorted = [];
+        const added = new Set();
+        const ready = all.filter(module => pendingCountMap[module] === 0);
 
-                return;
-            }
+        while (sorted.length < all.length) {
+            const module = ready.length ?
+                ready.shift() :
+                this.#obtainCycleBreakModule(all.filter(module => !added.has(module)), depsMap);
+
+            added.add(module);
+            sorted.push(module);
+
+            for (const dependent of dependentsMap[module] ?? []) {
+                pendingCountMap[dependent]--;
+
+                if (pendingCountMap[dependent] !== 0 || added.has(dependent)) {
+                    continue;
+                }
 
-            if (isDependentOnMatched(depName)) {
-                path
-                    .filter(item => !pickedModules.includes(item))
-                    .forEach(item => pickedModules.push(item));
+                const index = ready.findIndex(item => item > dependent);
+
+                ready.splice(index === -1 ? ready.length : index, 0, dependent);
             }
         }
 
-        deps.forEach(depName => {
-            if (isLib(depName)) {
-                return;
-            }
+        return sorted;
+    }
 
-            this.#buildTreeItem(
-                depName,
-                map,
-                depthMap,
-                ignoreLibs,
-                dependentOn,
-                discardedModules,
-                pickedModules,
-                depth + 1,
-                path
-            );
-        });
+    /**
+     * Only cycles and modules dependent on them are left. A cycle without dependencies outside
+     * of it is to be broken first.
+     *
+     * @param {string[]} modules Left modules, sorted.
+     * @param {Object.<string, string[]>} depsMap
+     * @return {string}
+     */
+    #obtainCycleBreakModule(modules, depsMap) {
+        const moduleSet = new Set(modules);
+
+        /** @type {Object.<string, string[]>} */
+        const leftDepsMap = {};
+
+        modules.forEach(module => leftDepsMap[module] = depsMap[module].filter(depName => moduleSet.has(depName)));
+
+        const component = this.#obtainComponents(leftDepsMap)
+            .find(component => {
+                return component.every(module => {
+                    return leftDepsMap[module].every(depName => component.includes(depName));
+                });
+            });
+
+        return component[0];
     }
 
     /**
@@ -476,17 +1020,42 @@ class Bundler {
 
     /**
      * @param {string} path
-     * @return {{deps: string[], name: string}|null}
+     * @return {{deps: string[], lazyDeps: string[], name: string}|null}
      */
     #obtainModuleData(path) {
         if (!this.#isClientJsOrTsFile(path)) {
             return null;
         }
 
-        const moduleName = this.#obtainModuleName(path);
+        if (path in this.moduleDataMap) {
+            return this.moduleDataMap[path];
+        }
 
         const sourceCode = fs.readFileSync(path, 'utf-8');
 
+        let data = this.parseCache ? this.parseCache.get(path, sourceCode) : undefined;
+
+        if (data === undefined) {
+            data = this.#parseModuleData(path, sourceCode);
+
+            if (this.parseCache) {
+                this.parseCache.set(path, sourceCode, data);
+            }
+        }
+
+        this.moduleDataMap[path] = data;
+
+        return data;
+    }
+
+    /**
+     * @param {string} path
+     * @param {string} sourceCode
+     * @return {{deps: string[], lazyDeps: string[], name: string}|null}
+     */
+    #parseModuleData(path, sourceCode) {
+        const moduleName = this.#obtainModuleName(path);
+
         const tsSourceFile = typescript.createSourceFile(
             path,
             sourceCode,
@@ -500,20 +1069,19 @@ class Bundler {
             !rootStatement.expression.expression ||
             rootStatement.expression.expression.escapedText !== 'define'
         ) {
-            if (!sourceCode.includes('export ')) {
+            const moduleSyntax = new ModuleSyntax();
+
+            // E.g. a file with only side-effect imports is a module.
+            if (!tsSourceFile.statements.some(statement => moduleSyntax.isModuleStatement(statement))) {
                 return null;
             }
 
-            if (!sourceCode.includes('import ')) {
-                return {
-                    name: moduleName,
-                    deps: [],
-                };
-            }
+            const esDeps = this.#obtainModuleDeps(tsSourceFile, moduleName);
 
             return {
                 name: moduleName,
-                deps: this.#obtainModuleDeps(tsSourceFile, moduleName),
+                deps: esDeps,
+                lazyDeps: this.#obtainLazyDeps(tsSourceFile, sourceCode, moduleName, esDeps),
             };
         }
 
@@ -538,23 +1106,121 @@ class Bundler {
         return {
             name: moduleName,
             deps: deps,
+            lazyDeps: this.#obtainLazyDeps(tsSourceFile, sourceCode, moduleName, deps),
         };
     }
 
     /**
-     * @param {string} sourceFile
+     * Dependencies loaded with a dynamic `import()` or an AMD `require([...])` at any depth.
+     *
+     * @param {import('typescript').SourceFile} sourceFile
+     * @param {string} sourceCode
+     * @param {string} subjectId
+     * @param {string[]} deps Static dependencies, to be excluded.
+     * @return {string[]}
+     */
+    #obtainLazyDeps(sourceFile, sourceCode, subjectId, deps) {
+        // Traversing the whole tree is expensive.
+        if (!/\b(import|require)\s*\(/.test(sourceCode)) {
+            return [];
+        }
+
+        const ids = [];
+
+        const visit = node => {
+            if (typescript.isCallExpression(node) && node.arguments.length) {
+                const argument = node.arguments[0];
+
+                if (
+                    node.expression.kind === typescript.SyntaxKind.ImportKeyword &&
+                    typescript.isStringLiteralLike(argument)
+                ) {
+                    ids.push(argument.text);
+                }
+
+                if (
+                    typescript.isIdentifier(node.expression) &&
+                    node.expression.escapedText === 'require' &&
+                    typescript.isArrayLiteralExpression(argument)
+                ) {
+                    argument.elements
+                        .filter(element => typescript.isStringLiteralLike(element))
+                        .forEach(element => ids.push(element.text));
+                }
+            }
+
+            typescript.forEachChild(node, visit);
+        };
+
+        visit(sourceFile);
+
+        return ids
+            .map(id => this.#normalizeModModuleId(this.#normalizeIdPath(id, subjectId)))
+            .filter((id, i, list) => list.indexOf(id) === i)
+            .filter(id => !deps.includes(id));
+    }
+
+    /**
+     * Imports, including side-effect ones, and re-exports. Type-only ones are skipped as they are
+     * removed when transpiled.
+     *
+     * @param {import('typescript').SourceFile} sourceFile
      * @param {string} subjectId
      * @return {string[]}
      */
     #obtainModuleDeps(sourceFile, subjectId) {
         return sourceFile.statements
-            .filter(item => item.importClause && item.moduleSpecifier && !item.importClause?.isTypeOnly)
+            .filter(item => typescript.isImportDeclaration(item) || typescript.isExportDeclaration(item))
+            .filter(item => item.moduleSpecifier && typescript.isStringLiteralLike(item.moduleSpecifier))
+            .filter(item => !this.#isTypeOnlyStatement(item))
             .map(item => item.moduleSpecifier.text)
             .map(/** string */id => {
                 id = this.#normalizeIdPath(id, subjectId);
 
                 return this.#normalizeModModuleId(id);
-            });
+            })
+            .filter((id, i, list) => list.indexOf(id) === i);
+    }
+
+    /**
+     * An import or export is type-only if marked as `type` or if all its specifiers are.
+     * E.g. `import {type A, type B} from 'a'`.
+     *
+     * @param {import('typescript').ImportDeclaration|import('typescript').ExportDeclaration} statement
+     * @return {boolean}
+     */
+    #isTypeOnlyStatement(statement) {
+        if (typescript.isExportDeclaration(statement)) {
+            if (statement.isTypeOnly) {
+                return true;
+            }
+
+            const clause = statement.exportClause;
+
+            return !!clause &&
+                typescript.isNamedExports(clause) &&
+                clause.elements.length > 0 &&
+                clause.elements.every(element => element.isTypeOnly);
+        }
+
+        const clause = statement.importClause;
+
+        // A side-effect import.
+        if (!clause) {
+            return false;
+        }
+
+        if (clause.isTypeOnly) {
+            return true;
+        }
+
+        if (clause.name || !clause.namedBindings || !typescript.isNamedImports(clause.namedBindings)) {
+            return false;
+        }
+
+        const elements = clause.namedBindings.elements;
+
+        return elements.length > 0 && elements.every(element => element.isTypeOnly);
     }
 
     /**
@@ -0,0 +1,459 @@
+/************************************************************************
+ * This file is part of EspoCRM.
+ *
+ * EspoCRM - Open Source CRM application.
+ * Copyright (C) 2014-2023 Yurii Kuznietsov, Taras Machyshyn, Oleksii Avramenko
+ * Website: https://www.espocrm.com
+ *
+ * EspoCRM is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * EspoCRM is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with EspoCRM. If not, see http://www.gnu.org/licenses/.
+ *
+ * The interactive user interfaces in modified source and object code versions
+ * of this program must display Appropriate Legal Notices, as required under
+ * Section 5 of the GNU General Public License version 3.
+ *
+ * In accordance with Section 7(b) of the GNU General Public License version 3,
+ * these Appropriate Legal Notices must retain the display of the "EspoCRM" word.
+ ************************************************************************/
+
+
+const fs = require('fs');
+const {globSync} = require('glob');
+const PrefixHandler = require('./prefix-handler');
+
+const booleanType = 'boolean';
+const stringType = 'string';
+const numberType = 'number';
+const stringListType = 'string[]';
+
+/**
+ * Known keys with their types. An object value describes a nested object.
+ */
+const configSchema = {
+    basePath: stringType,
+    transpiledPath: stringType,
+    chunks: null,
+    modulePaths: null,
+    lookupPatterns: stringListType,
+    order: stringListType,
+    dryRun: booleanType,
+    sourceMaps: booleanType,
+    minify: null,
+    manifestFile: stringType,
+    report: {
+        json: stringType,
+        html: stringType,
+    },
+    graph: {
+        json: stringType,
+        dot: stringType,
+    },
+    strict: null,
+    sharedChunk: {
+        name: stringType,
+        minSize: numberType,
+    },
+    prefixHandlers: null,
+    cache: booleanType,
+};
+
+const chunkSchema = {
+    files: stringListType,
+    patterns: stringListType,
+    ignorePatterns: stringListType,
+    ignoreFiles: stringListType,
+    lookupPatterns: stringListType,
+    templatePatterns: stringListType,
+    noDuplicates: booleanType,
+    dependentOn: stringListType,
+    requires: stringListType,
+    mapDependencies: booleanType,
+    includeLazyDependencies: booleanType,
+};
+
+const strictSchema = {
+    crossChunk: booleanType,
+    notBundled: booleanType,
+    circularDependency: booleanType,
+};
+
+const libSchema = {
+    src: stringType,
+    bundle: booleanType,
+    amdId: stringType,
+};
+
+/**
+ * Validates a bundler config and libs. Collects all problems, each prefixed with a config path.
+ */
+class ConfigValidator {
+
+    /**
+     * @param {Object} config
+     * @param {Object[]} [libs]
+     * @return {string[]} Problems.
+     */
+    validate(config, libs) {
+        /** @type {string[]} */
+        const problems = [];
+
+        if (!this.#isObject(config)) {
+            return ['config must be an object'];
+        }
+
+        this.#checkObject(config, configSchema, '', problems);
+
+        if (config.order === undefined) {
+            problems.push('order is required');
+        }
+
+        if (config.chunks === undefined) {
+            problems.push('chunks is required');
+        }
+
+        const basePath = typeof config.basePath === 'string' ? config.basePath : 'client';
+
+        this.#checkModulePaths(config.modulePaths, basePath, problems);
+        this.#checkMinify(config.minify, problems);
+        this.#checkStrict(config.strict, problems);
+        this.#checkPrefixHandlers(config.prefixHandlers, problems);
+        this.#checkPatterns(config.lookupPatterns, basePath, 'lookupPatterns', problems);
+        this.#checkChunks(config.chunks, basePath, problems);
+        this.#checkOrder(config.order, config.chunks, config.sharedChunk, problems);
+        this.#checkLibs(libs, problems);
+
+        return problems;
+    }
+
+    /**
+     * @param {*} chunks
+     * @param {string} basePath
+     * @param {string[]} problems
+     */
+    #checkChunks(chunks, basePath, problems) {
+        if (chunks === undefined) {
+            return;
+        }
+
+        if (!this.#isObject(chunks)) {
+            problems.push('chunks must be an object');
+
+            return;
+        }
+
+        for (const name in chunks) {
+            const path = `chunks.${name}`;
+            const chunk = chunks[name];
+
+            if (!this.#isObject(chunk)) {
+                problems.push(`${path} must be an object`);
+
+                continue;
+            }
+
+            this.#checkObject(chunk, chunkSchema, path + '.', problems);
+
+            this.#checkPatterns(chunk.patterns, basePath, path + '.patterns', problems);
+            this.#checkPatterns(chunk.lookupPatterns, basePath, path + '.lookupPatterns', problems);
+            // Templates are always looked up in the client dir.
+            this.#checkPatterns(chunk.templatePatterns, 'client', path + '.templatePatterns', problems);
+
+            if (Array.isArray(chunk.files)) {
+                chunk.files.forEach((file, i) => {
+                    if (typeof file === 'string' && !fs.existsSync(basePath + '/' + file)) {
+                        problems.push(`${path}.files[${i}] does not exist`);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * @param {*} order
+     * @param {*} chunks
+     * @param {*} sharedChunk
+     * @param {string[]} problems
+     */
+    #checkOrder(order, chunks, sharedChunk, problems) {
+        if (!Array.isArray(order)) {
+            return;
+        }
+
+        if (!order.length) {
+            problems.push('order must not be empty');
+        }
+
+        if (!this.#isObject(chunks)) {
+            return;
+        }
+
+        order.forEach((name, i) => {
+            if (typeof name !== 'string') {
+                return;
+            }
+
+            if (!(name in chunks)) {
+                problems.push(`order[${i}] '${name}' is not defined in chunks`);
+            }
+
+            if (order.indexOf(name) !== i) {
+                problems.push(`order[${i}] '${name}' is a duplicate`);
+            }
+        });
+
+        Object.keys(chunks)
+            .filter(name => !order.includes(name))
+            .forEach(name => problems.push(`chunks.${name} is not listed in order`));
+
+        if (this.#isObject(sharedChunk)) {
+            const name = sharedChunk.name ?? 'shared';
+
+            if (name in chunks) {
+                problems.push(`sharedChunk.name '${name}' is already used by a chunk`);
+            }
+        }
+    }
+
+    /**
+     * @param {*} modulePaths
+     * @param {string} basePath
+     * @param {string[]} problems
+     */
+    #checkModulePaths(modulePaths, basePath, problems) {
+        if (modulePaths === undefined) {
+            return;
+        }
+
+        if (!this.#isObject(modulePaths)) {
+            problems.push('modulePaths must be an object');
+
+            return;
+        }
+
+        for (const mod in modulePaths) {
+            const path = modulePaths[mod];
+
+            if (typeof path !== 'string') {
+                problems.push(`modulePaths.${mod} must be a string`);
+
+                continue;
+            }
+
+            if (!fs.existsSync(basePath + '/' + path)) {
+                problems.push(`modulePaths.${mod} points to a missing dir ${basePath}/${path}`);
+            }
+        }
+    }
+
+    /**
+     * @param {*} minify
+     * @param {string[]} problems
+     */
+    #checkMinify(minify, problems) {
+        if (minify === undefined || typeof minify === 'boolean' || this.#isObject(minify)) {
+            return;
+        }
+
+        problems.push('minify must be a boolean or an object');
+    }
+
+    /**
+     * @param {*} strict
+     * @param {string[]} problems
+     */
+    #checkStrict(strict, problems) {
+        if (strict === undefined || typeof strict === 'boolean') {
+            return;
+        }
+
+        if (!this.#isObject(strict)) {
+            problems.push('strict must be a boolean or an object');
+
+            return;
+        }
+
+        this.#checkObject(strict, strictSchema, 'strict.', problems);
+    }
+
+    /**
+     * @param {*} prefixHandlers
+     * @param {string[]} problems
+     */
+    #checkPrefixHandlers(prefixHandlers, problems) {
+        if (prefixHandlers === undefined) {
+            return;
+        }
+
+        if (!this.#isObject(prefixHandlers)) {
+            problems.push('prefixHandlers must be an object');
+
+            return;
+        }
+
+        for (const prefix in prefixHandlers) {
+            if (!(prefixHandlers[prefix] instanceof PrefixHandler)) {
+                problems.push(`prefixHandlers.${prefix} must be a PrefixHandler instance`);
+            }
+        }
+    }
+
+    /**
+     * The libs list is shared with other build tools, so only keys used by the bundler are checked.
+     *
+     * @param {*} libs
+     * @param {string[]} problems
+     */
+    #checkLibs(libs, problems) {
+        if (libs === undefined) {
+            return;
+        }
+
+        if (!Array.isArray(libs)) {
+            problems.push('libs must be an array');
+
+            return;
+        }
+
+        libs.forEach((lib, i) => {
+            const path = `libs[${i}]`;
+
+            if (!this.#isObject(lib)) {
+                problems.push(`${path} must be an object`);
+
+                return;
+            }
+
+            for (const key in libSchema) {
+                if (lib[key] !== undefined) {
+                    this.#checkType(lib[key], libSchema[key], `${path}.${key}`, problems);
+                }
+            }
+
+            if (lib.files === undefined) {
+                return;
+            }
+
+            if (!Array.isArray(lib.files)) {
+                problems.push(`${path}.files must be an array`);
+
+                return;
+            }
+
+            lib.files.forEach((item, j) => {
+                if (!this.#isObject(item) || typeof item.src !== 'string') {
+                    problems.push(`${path}.files[${j}].src must be a string`);
+                }
+            });
+        });
+    }
+
+    /**
+     * @param {*} patterns
+     * @param {string} basePath
+     * @param {string} path
+     * @param {string[]} problems
+     */
+    #checkPatterns(patterns, basePath, path, problems) {
+        if (!Array.isArray(patterns)) {
+            return;
+        }
+
+        patterns.forEach((pattern, i) => {
+            if (typeof pattern !== 'string') {
+                return;
+            }
+
+            if (!globSync(basePath + '/' + pattern).length) {
+                problems.push(`${path}[${i}] matches no files`);
+            }
+        });
+    }
+
+    /**
+     * Checks types of known keys and flags unknown ones. Keys with the `null` type are checked separately.
+     *
+     * @param {Object} object
+     * @param {Object} schema
+     * @param {string} prefix
+     * @param {string[]} problems
+     */
+    #checkObject(object, schema, prefix, problems) {
+        for (const key in object) {
+            const path = prefix + key;
+
+            if (!(key in schema)) {
+                problems.push(`${path} is an unknown key`);
+
+                continue;
+            }
+
+            const type = schema[key];
+
+            if (type === null || object[key] === undefined) {
+                continue;
+            }
+
+            if (this.#isObject(type)) {
+                if (!this.#isObject(object[key])) {
+                    problems.push(`${path} must be an object`);
+
+                    continue;
+                }
+
+                this.#checkObject(object[key], type, path + '.', problems);
+
+                continue;
+            }
+
+            this.#checkType(object[key], type, path, problems);
+        }
+    }
+
+    /**
+     * @param {*} value
+     * @param {string} type
+     * @param {string} path
+     * @param {string[]} problems
+     */
+    #checkType(value, type, path, problems) {
+        if (type === stringListType) {
+            if (!Array.isArray(value)) {
+                problems.push(`${path} must be an array of strings`);
+
+                return;
+            }
+
+            value.forEach((item, i) => {
+                if (typeof item !== 'string') {
+                    problems.push(`${path}[${i}] must be a string`);
+                }
+            });
+
+            return;
+        }
+
+        if (typeof value !== type) {
+            problems.push(`${path} must be a ${type}`);
+        }
+    }
+
+    /**
+     * @param {*} value
+     * @return {boolean}
+     */
+    #isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+
+module.exports = ConfigValidator;
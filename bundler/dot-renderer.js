@@ -0,0 +1,108 @@
+/************************************************************************
+ * This file is part of EspoCRM.
+ *
+ * EspoCRM - Open Source CRM application.
+ * Copyright (C) 2014-2023 Yurii Kuznietsov, Taras Machyshyn, Oleksii Avramenko
+ * Website: https://www.espocrm.com
+ *
+ * EspoCRM is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * EspoCRM is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with EspoCRM. If not, see http://www.gnu.org/licenses/.
+ *
+ * The interactive user interfaces in modified source and object code versions
+ * of this program must display Appropriate Legal Notices, as required under
+ * Section 5 of the GNU General Public License version 3.
+ *
+ * In accordance with Section 7(b) of the GNU General Public License version 3,
+ * these Appropriate Legal Notices must retain the display of the "EspoCRM" word.
+ ************************************************************************/
+
+
+/**
+ * Renders a module dependency graph in the Graphviz DOT format. Modules are grouped
+ * in clusters by chunks. Edges to lazy dependencies are dashed.
+ */
+class DotRenderer {
+
+    /**
+     * @param {{
+     *     modules: Object.<string, {
+     *         file: string,
+     *         chunk: string|null,
+     *         deps: string[],
+     *         lazyDeps: string[],
+     *         libs: string[],
+     *     }>,
+     * }} graph
+     * @return {string}
+     */
+    render(graph) {
+        /** @type {Object.<string, string[]>} */
+        const chunkModulesMap = {};
+        const standaloneModules = [];
+        const libs = [];
+        const edges = [];
+
+        for (const module in graph.modules) {
+            const item = graph.modules[module];
+
+            if (item.chunk) {
+                chunkModulesMap[item.chunk] = chunkModulesMap[item.chunk] ?? [];
+                chunkModulesMap[item.chunk].push(module);
+            }
+            else {
+                standaloneModules.push(module);
+            }
+
+            item.libs
+                .filter(lib => !libs.includes(lib))
+                .forEach(lib => libs.push(lib));
+
+            item.deps.concat(item.libs)
+                .forEach(dep => edges.push(`  ${this.#quote(module)} -> ${this.#quote(dep)};`));
+
+            item.lazyDeps
+                .forEach(dep => edges.push(`  ${this.#quote(module)} -> ${this.#quote(dep)} [style=dashed];`));
+        }
+
+        let output = 'digraph modules {\n' +
+            '  rankdir=LR;\n' +
+            '  node [shape=ellipse, fontsize=10];\n';
+
+        Object.keys(chunkModulesMap).forEach((chunk, i) => {
+            output += `  subgraph cluster_${i} {\n`;
+            output += `    label=${this.#quote(chunk)};\n`;
+
+            chunkModulesMap[chunk].forEach(module => output += `    ${this.#quote(module)};\n`);
+
+            output += '  }\n';
+        });
+
+        standaloneModules.forEach(module => output += `  ${this.#quote(module)};\n`);
+        libs.forEach(lib => output += `  ${this.#quote(lib)} [shape=box, style=dashed];\n`);
+
+        output += edges.join('\n') + (edges.length ? '\n' : '');
+        output += '}\n';
+
+        return output;
+    }
+
+    /**
+     * @param {string} id
+     * @return {string}
+     */
+    #quote(id) {
+        return '"' + id.replaceAll('\\', '\\\\').replaceAll('"', '\\"') + '"';
+    }
+}
+
+module.exports = DotRenderer;
@@ -0,0 +1,138 @@
+/************************************************************************
+ * This file is part of EspoCRM.
+ *
+ * EspoCRM - Open Source CRM application.
+ * Copyright (C) 2014-2023 Yurii Kuznietsov, Taras Machyshyn, Oleksii Avramenko
+ * Website: https://www.espocrm.com
+ *
+ * EspoCRM is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * EspoCRM is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with EspoCRM. If not, see http://www.gnu.org/licenses/.
+ *
+ * The interactive user interfaces in modified source and object code versions
+ * of this program must display Appropriate Legal Notices, as required under
+ * Section 5 of the GNU General Public License version 3.
+ *
+ * In accordance with Section 7(b) of the GNU General Public License version 3,
+ * these Appropriate Legal Notices must retain the display of the "EspoCRM" word.
+ ************************************************************************/
+
+
+const crypto = require('crypto');
+const fs = require('fs');
+const pathUtil = require('path');
+
+const cacheVersion = 2;
+
+/**
+ * Module data parsed from source files, stored on disk. An item is valid while the file contents
+ * are the same.
+ */
+class ParseCache {
+
+    /**
+     * @param {string} file A cache file.
+     * @param {string} fingerprint Parse results depend on it. E.g. module paths.
+     */
+    constructor(file, fingerprint) {
+        this.file = file;
+        this.fingerprint = fingerprint;
+
+        /** @type {Object.<string, {hash: string, data: Object|null}>} */
+        this.items = {};
+        this.isChanged = false;
+    }
+
+    read() {
+        this.items = {};
+
+        if (!fs.existsSync(this.file)) {
+            return;
+        }
+
+        try {
+            const cache = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+
+            if (cache.version === cacheVersion && cache.fingerprint === this.fingerprint && cache.items) {
+                this.items = cache.items;
+            }
+        }
+        catch (e) {}
+    }
+
+    /**
+     * Items of removed files are dropped. Not written if nothing is changed.
+     */
+    write() {
+        for (const path in this.items) {
+            if (!fs.existsSync(path)) {
+                delete this.items[path];
+
+                this.isChanged = true;
+            }
+        }
+
+        if (!this.isChanged) {
+            return;
+        }
+
+        const data = {
+            version: cacheVersion,
+            fingerprint: this.fingerprint,
+            items: this.items,
+        };
+
+        fs.mkdirSync(pathUtil.dirname(this.file), {recursive: true});
+        fs.writeFileSync(this.file, JSON.stringify(data), 'utf-8');
+
+        this.isChanged = false;
+    }
+
+    /**
+     * @param {string} path A source file.
+     * @param {string} contents
+     * @return {Object|null|undefined} Undefined if not cached.
+     */
+    get(path, contents) {
+        const item = this.items[path];
+
+        if (!item || item.hash !== this.#obtainHash(contents)) {
+            return undefined;
+        }
+
+        return item.data;
+    }
+
+    /**
+     * @param {string} path A source file.
+     * @param {string} contents
+     * @param {Object|null} data
+     */
+    set(path, contents, data) {
+        this.items[path] = {
+            hash: this.#obtainHash(contents),
+            data: data,
+        };
+
+        this.isChanged = true;
+    }
+
+    /**
+     * @param {string} contents
+     * @return {string}
+     */
+    #obtainHash(contents) {
+        return crypto.createHash('sha256').update(contents).digest('hex');
+    }
+}
+
+module.exports = ParseCache;
@@ -0,0 +1,80 @@
+/************************************************************************
+ * This file is part of EspoCRM.
+ *
+ * EspoCRM - Open Source CRM application.
+ * Copyright (C) 2014-2023 Yurii Kuznietsov, Taras Machyshyn, Oleksii Avramenko
+ * Website: https://www.espocrm.com
+ *
+ * EspoCRM is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * EspoCRM is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with EspoCRM. If not, see http://www.gnu.org/licenses/.
+ *
+ * The interactive user interfaces in modified source and object code versions
+ * of this program must display Appropriate Legal Notices, as required under
+ * Section 5 of the GNU General Public License version 3.
+ *
+ * In accordance with Section 7(b) of the GNU General Public License version 3,
+ * these Appropriate Legal Notices must retain the display of the "EspoCRM" word.
+ ************************************************************************/
+
+
+/**
+ * Handles dependencies with a loader prefix, e.g. `text!some/file.txt`. To be extended and passed
+ * in the `prefixHandlers` bundler config param, keyed by a prefix. Dependencies with a prefix
+ * having no handler are left to the loader.
+ */
+class PrefixHandler {
+
+    /**
+     * A file to be inlined into a chunk as a named AMD module. If null, loading is left to the loader.
+     *
+     * @param {string} id An ID without the prefix.
+     * @return {string|null}
+     */
+    resolve(id) {
+        return null;
+    }
+
+    /**
+     * A JS expression returned by an inlined module. By default, file contents as a string.
+     *
+     * @param {string} contents File contents.
+     * @param {string} id An ID without the prefix.
+     * @return {string}
+     */
+    obtainValueCode(contents, id) {
+        return JSON.stringify(contents);
+    }
+
+    /**
+     * A lib the dependency stands for. Modules dependent on not bundled libs are not bundled,
+     * `dependentOn` chunk param is matched against libs.
+     *
+     * @param {string} id An ID without the prefix.
+     * @return {string|null}
+     */
+    obtainLibId(id) {
+        return null;
+    }
+
+    /**
+     * Whether a not inlined dependency is mapped as a chunk dependency if `mapDependencies` is set.
+     *
+     * @param {string} id An ID without the prefix.
+     * @return {boolean}
+     */
+    isDependency(id) {
+        return true;
+    }
+}
+
+module.exports = PrefixHandler;
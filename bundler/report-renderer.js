@@ -0,0 +1,203 @@
+/************************************************************************
+ * This file is part of EspoCRM.
+ *
+ * EspoCRM - Open Source CRM application.
+ * Copyright (C) 2014-2023 Yurii Kuznietsov, Taras Machyshyn, Oleksii Avramenko
+ * Website: https://www.espocrm.com
+ *
+ * EspoCRM is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * EspoCRM is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with EspoCRM. If not, see http://www.gnu.org/licenses/.
+ *
+ * The interactive user interfaces in modified source and object code versions
+ * of this program must display Appropriate Legal Notices, as required under
+ * Section 5 of the GNU General Public License version 3.
+ *
+ * In accordance with Section 7(b) of the GNU General Public License version 3,
+ * these Appropriate Legal Notices must retain the display of the "EspoCRM" word.
+ ************************************************************************/
+
+
+/**
+ * Renders a bundle report as a standalone HTML page with a treemap per chunk.
+ * No external resources are used, so it works offline.
+ */
+class ReportRenderer {
+
+    /**
+     * @param {{
+     *     chunks: Object.<string, {
+     *         file: string,
+     *         size: number,
+     *         modules: {module: string, file: string, size: number, chain: string[]|null}[],
+     *         templates: {file: string, size: number}[],
+     *     }>,
+     * }} report
+     * @return {string}
+     */
+    render(report) {
+        // Prevents closing the script tag from within the data.
+        const data = JSON.stringify(report).replaceAll('</', '<\\/');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bundle report</title>
+<style>
+body { font-family: sans-serif; font-size: 13px; margin: 20px; color: #333; }
+h2 { font-size: 16px; margin: 30px 0 10px; }
+.treemap { position: relative; width: 100%; height: 420px; background: #eee; }
+.cell { position: absolute; box-sizing: border-box; border: 1px solid #fff; overflow: hidden;
+    padding: 2px 4px; font-size: 11px; color: #fff; white-space: nowrap; text-overflow: ellipsis; }
+.cell.pulled { background: #c0843a; }
+.cell.matched { background: #3a78c0; }
+.cell.template { background: #4e9a5b; }
+table { border-collapse: collapse; margin-top: 10px; }
+td, th { text-align: left; padding: 2px 12px 2px 0; vertical-align: top; }
+td.size { text-align: right; }
+.chain { color: #888; }
+</style>
+</head>
+<body>
+<h1>Bundle report</h1>
+<div id="report"></div>
+<script>
+const report = ${data};
+
+function formatSize(size) {
+    return size < 1024 ? size + ' B' : (size / 1024).toFixed(1) + ' KB';
+}
+
+function worst(row, length) {
+    const sum = row.reduce((a, b) => a + b.area, 0);
+    const max = Math.max(...row.map(it => it.area));
+    const min = Math.min(...row.map(it => it.area));
+
+    return Math.max(length * length * max / (sum * sum), (sum * sum) / (length * length * min));
+}
+
+function layoutRow(row, rect, output) {
+    const sum = row.reduce((a, b) => a + b.area, 0);
+    const horizontal = rect.width >= rect.height;
+    const thickness = sum / (horizontal ? rect.height : rect.width);
+    let offset = 0;
+
+    for (const item of row) {
+        const length = item.area / thickness;
+
+        output.push(horizontal ?
+            {item: item, x: rect.x, y: rect.y + offset, width: thickness, height: length} :
+            {item: item, x: rect.x + offset, y: rect.y, width: length, height: thickness});
+
+        offset += length;
+    }
+
+    return horizontal ?
+        {x: rect.x + thickness, y: rect.y, width: rect.width - thickness, height: rect.height} :
+        {x: rect.x, y: rect.y + thickness, width: rect.width, height: rect.height - thickness};
+}
+
+function squarify(items, rect) {
+    const output = [];
+    let row = [];
+
+    items = items.slice();
+
+    while (items.length) {
+        const item = items[0];
+        const length = Math.min(rect.width, rect.height);
+
+        if (!row.length || worst(row, length) >= worst(row.concat([item]), length)) {
+            row.push(items.shift());
+
+            continue;
+        }
+
+        rect = layoutRow(row, rect, output);
+        row = [];
+    }
+
+    if (row.length) {
+        layoutRow(row, rect, output);
+    }
+
+    return output;
+}
+
+function renderChunk(name, chunk, container) {
+    const title = document.createElement('h2');
+    title.textContent = name + ' \\u2014 ' + chunk.file + ', ' + formatSize(chunk.size) +
+        ', ' + chunk.modules.length + ' modules, ' + chunk.templates.length + ' templates';
+    container.appendChild(title);
+
+    const map = document.createElement('div');
+    map.className = 'treemap';
+    container.appendChild(map);
+
+    const items = chunk.modules
+        .map(it => ({label: it.module, size: it.size, type: it.chain ? 'pulled' : 'matched', chain: it.chain}))
+        .concat(chunk.templates.map(it => ({label: it.file, size: it.size, type: 'template', chain: null})))
+        .filter(it => it.size > 0)
+        .sort((a, b) => b.size - a.size);
+
+    const width = map.clientWidth;
+    const height = map.clientHeight;
+    const total = items.reduce((a, b) => a + b.size, 0);
+
+    items.forEach(it => it.area = it.size / total * width * height);
+
+    for (const cell of squarify(items, {x: 0, y: 0, width: width, height: height})) {
+        const element = document.createElement('div');
+        element.className = 'cell ' + cell.item.type;
+        element.style.left = cell.x + 'px';
+        element.style.top = cell.y + 'px';
+        element.style.width = cell.width + 'px';
+        element.style.height = cell.height + 'px';
+        element.textContent = cell.item.label;
+        element.title = cell.item.label + ' (' + formatSize(cell.item.size) + ')' +
+            (cell.item.chain ? '\\n' + cell.item.chain.join(' -> ') : '');
+        map.appendChild(element);
+    }
+
+    const table = document.createElement('table');
+    table.innerHTML = '<tr><th>Module</th><th>Size</th><th>Pulled in by</th></tr>';
+
+    for (const it of items) {
+        const row = table.insertRow();
+        row.insertCell().textContent = it.label;
+
+        const size = row.insertCell();
+        size.className = 'size';
+        size.textContent = formatSize(it.size);
+
+        const chain = row.insertCell();
+        chain.className = 'chain';
+        chain.textContent = it.chain ? it.chain.join(' -> ') : '';
+    }
+
+    container.appendChild(table);
+}
+
+const container = document.getElementById('report');
+
+for (const name in report.chunks) {
+    renderChunk(name, report.chunks[name], container);
+}
+</script>
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = ReportRenderer;
@@ -0,0 +1,138 @@
+/************************************************************************
+ * This file is part of EspoCRM.
+ *
+ * EspoCRM - Open Source CRM application.
+ * Copyright (C) 2014-2023 Yurii Kuznietsov, Taras Machyshyn, Oleksii Avramenko
+ * Website: https://www.espocrm.com
+ *
+ * EspoCRM is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * EspoCRM is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with EspoCRM. If not, see http://www.gnu.org/licenses/.
+ *
+ * The interactive user interfaces in modified source and object code versions
+ * of this program must display Appropriate Legal Notices, as required under
+ * Section 5 of the GNU General Public License version 3.
+ *
+ * In accordance with Section 7(b) of the GNU General Public License version 3,
+ * these Appropriate Legal Notices must retain the display of the "EspoCRM" word.
+ ************************************************************************/
+
+
+const pathUtil = require('path');
+const {decode, encode} = require('@jridgewell/sourcemap-codec');
+
+/**
+ * Composes a source map of concatenated files. Files are expected to be added in the same order
+ * as they are concatenated, each followed by a line break.
+ */
+class SourceMapComposer {
+
+    constructor() {
+        /** @type {string[]} */
+        this.sources = [];
+        /** @type {(string|null)[]} */
+        this.sourcesContent = [];
+        /** @type {string[]} */
+        this.names = [];
+        /** @type {number[][][]} */
+        this.mappings = [];
+    }
+
+    /**
+     * Add a file that has its own source map, e.g. a transpiled one.
+     *
+     * @param {string} code Code as it's placed in the bundle.
+     * @param {string} source A source file.
+     * @param {{
+     *     sources: string[],
+     *     sourcesContent?: (string|null)[],
+     *     names?: string[],
+     *     mappings: string,
+     * }} map
+     */
+    addMapped(code, source, map) {
+        const sourceOffset = this.sources.length;
+        const nameOffset = this.names.length;
+
+        // A transpiled file has a single source. Babel names it 'unknown'.
+        for (let i = 0; i < map.sources.length; i++) {
+            this.sources.push(source);
+            this.sourcesContent.push(map.sourcesContent?.[i] ?? null);
+        }
+
+        this.names.push(...(map.names ?? []));
+
+        const lines = decode(map.mappings);
+
+        for (let i = 0; i < this.#countLines(code); i++) {
+            const segments = (lines[i] ?? []).map(segment => {
+                if (segment.length === 1) {
+                    return segment;
+                }
+
+                const mapped = [segment[0], segment[1] + sourceOffset, segment[2], segment[3]];
+
+                if (segment.length === 5) {
+                    mapped.push(segment[4] + nameOffset);
+                }
+
+                return mapped;
+            });
+
+            this.mappings.push(segments);
+        }
+    }
+
+    /**
+     * Add a file that is placed as is. Each line is mapped to the same line of the source.
+     *
+     * @param {string} code Code as it's placed in the bundle.
+     * @param {string} source A source file.
+     */
+    addIdentity(code, source) {
+        const sourceIndex = this.sources.length;
+
+        this.sources.push(source);
+        this.sourcesContent.push(code);
+
+        for (let i = 0; i < this.#countLines(code); i++) {
+            this.mappings.push([[0, sourceIndex, i, 0]]);
+        }
+    }
+
+    /**
+     * @param {string} file A bundle file. Sources are made relative to it.
+     * @return {string}
+     */
+    compose(file) {
+        const dir = pathUtil.dirname(file);
+
+        return JSON.stringify({
+            version: 3,
+            file: pathUtil.basename(file),
+            sources: this.sources.map(source => pathUtil.relative(dir, source).replaceAll('\\', '/')),
+            sourcesContent: this.sourcesContent,
+            names: this.names,
+            mappings: encode(this.mappings),
+        });
+    }
+
+    /**
+     * @param {string} code
+     * @return {number}
+     */
+    #countLines(code) {
+        return code.split('\n').length;
+    }
+}
+
+module.exports = SourceMapComposer;
@@ -40,7 +40,7 @@ class TemplatePrecompiler {
      *   modulePaths: Record.<string, string>,
      *   ignoreFiles: string[],
      * }} params
-     * @return {{contents: string, files: string[]}}
+     * @return {{contents: string, files: string[], sizes: Object.<string, number>}}
      */
     precompile(params) {
         const baseBase = 'client';
@@ -94,13 +94,18 @@ class TemplatePrecompiler {
             'Espo.preCompiledTemplates = Espo.preCompiledTemplates || {};\n' +
             'Object.assign(Espo.preCompiledTemplates, {\n';
 
+        const sizes = {};
+
         for (const file in nameMap) {
             const name = nameMap[file];
 
             const templateContent = fs.readFileSync(file, 'utf8');
             const compiled = Handlebars.precompile(templateContent);
 
-            contents += `'${name}': Handlebars.template(\n${compiled}\n),\n`;
+            const part = `'${name}': Handlebars.template(\n${compiled}\n),\n`;
+
+            contents += part;
+            sizes[file] = Buffer.byteLength(part);
         }
 
         contents += `\n});`;
@@ -108,6 +113,7 @@ class TemplatePrecompiler {
         return {
             files: compiledFiles,
             contents: contents,
+            sizes: sizes,
         };
     }
 
@@ -1,7 +1,15 @@
 const Bundler = require('./bundler/bundler-general');
 const Transpiler = require('./transpiler/transpiler');
 const TemplateBundler = require('./template-bundler/template-bundler');
+const Watcher = require('./watcher/watcher');
+const BundleWarningError = require('./bundler/bundle-warning-error');
+const Logger = require('./logger/logger');
+const PrefixHandler = require('./bundler/prefix-handler');
 
 exports.Bundler = Bundler;
 exports.Transpiler = Transpiler;
 exports.TemplateBundler = TemplateBundler;
+exports.Watcher = Watcher;
+exports.BundleWarningError = BundleWarningError;
+exports.Logger = Logger;
+exports.PrefixHandler = PrefixHandler;
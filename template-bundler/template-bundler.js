@@ -28,6 +28,7 @@
 
 const fs = require('fs');
 const {globSync} = require('glob');
+const Logger = require('../logger/logger');
 
 class TemplateBundler {
 
@@ -36,12 +37,14 @@ class TemplateBundler {
      *     dirs?: string[],
      *     dest?: string,
      *     clientDir?: string,
+     *     logger?: Logger,
      * }} config
      */
     constructor(config) {
         this.dirs = config.dirs ?? ['client/res/templates'];
         this.dest = config.dest ?? 'client/lib/templates.tpl';
         this.clientDir = config.clientDir ?? 'client';
+        this.logger = config.logger ?? new Logger();
     }
 
     /**
@@ -80,7 +83,12 @@ class TemplateBundler {
 
         fs.writeFileSync(this.dest, result, 'utf8');
 
-        console.log(`  ${contents.length} templates bundled in ${this.dest}.`);
+        this.logger.log(`  ${contents.length} templates bundled in ${this.dest}.`);
+
+        this.logger.emit('templates:bundled', {
+            dest: this.dest,
+            count: contents.length,
+        });
     }
 
     /**
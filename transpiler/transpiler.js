@@ -27,8 +27,101 @@
  ************************************************************************/
 
 const babelCore = require("@babel/core");
+const {codeFrameColumns} = require('@babel/code-frame');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
+const pathUtil = require('path');
+const typescript = require('typescript');
 const {globSync} = require('glob');
+const {Worker} = require('worker_threads');
+const Logger = require('../logger/logger');
+const ModuleSyntax = require('./module-syntax');
+
+const workerPath = __dirname + '/transpile-worker.js';
+
+const manifestFileName = '.transpiler-manifest.json';
+const manifestVersion = 4;
+
+const defaultTargets = {
+    chrome: '90',
+    safari: '16',
+};
+
+const defaultDecorators = {
+    version: '2023-11',
+};
+
+/**
+ * @typedef {{
+ *     file: string|null,
+ *     line: number|null,
+ *     column: number|null,
+ *     message: string,
+ *     category: 'error'|'warning'|'suggestion'|'message',
+ * }} TranspilerDiagnostic
+ */
+
+/**
+ * @typedef {{
+ *     file: string,
+ *     line: number|null,
+ *     column: number|null,
+ *     message: string,
+ *     codeFrame: string|null,
+ * }} TranspilerError
+ */
+
+/**
+ * @typedef {{
+ *     hash?: string,
+ *     fingerprint?: string,
+ *     outputs: string[],
+ *     outputHashes?: string[],
+ * }} ManifestItem
+ */
+
+/**
+ * Files of a run and collected data.
+ *
+ * @typedef {{
+ *     files: string[],
+ *     otherFiles: string[],
+ *     skippedFiles: string[],
+ *     orphanFiles: string[],
+ *     manifest: {files: Object.<string, ManifestItem>},
+ *     fingerprint: string,
+ *     previousOutputs: string[],
+ *     diagnostics: TranspilerDiagnostic[],
+ *     errors: TranspilerError[],
+ * }} TranspilerPlan
+ */
+
+/**
+ * @typedef {{
+ *     transpiled: string[],
+ *     copied: string[],
+ *     skipped: string[],
+ *     removed: string[],
+ *     errors: TranspilerError[],
+ * }} TranspilerModuleResult
+ */
+
+/**
+ * The plan is returned in the dry-run mode.
+ *
+ * @typedef {TranspilerModuleResult & {
+ *     diagnostics: TranspilerDiagnostic[],
+ *     plan?: {
+ *         file: string,
+ *         module: string,
+ *         targetDir: string,
+ *         destFile: string,
+ *         action: 'transpile'|'copy'|'skip',
+ *     }[],
+ *     modules: Object.<string, TranspilerModuleResult>,
+ * }} TranspilerResult
+ */
 
 class Transpiler {
 
@@ -38,118 +131,796 @@ class Transpiler {
      *     destDir?: string,
      *     mod?: string,
      *     file?: string,
+     *     modulePaths?: Record.<string, string>,
+     *     cache?: boolean,
+     *     targets?: Object.<string, string>|string|string[],
+     *     presets?: (string|[string, Object]|Function)[],
+     *     plugins?: (string|[string, Object]|Function)[],
+     *     decorators?: {
+     *         version?: string,
+     *     } & Object.<string, *>,
+     *     poolSize?: number,
+     *     typeCheck?: boolean,
+     *     failOnTypeErrors?: boolean,
+     *     tsconfig?: string,
+     *     collectErrors?: boolean,
+     *     dryRun?: boolean,
+     *     logger?: Logger,
      * }} config
      */
     constructor(config) {
+        if (config.mod && config.modulePaths) {
+            throw new Error(`Options 'mod' and 'modulePaths' can't be used together.`);
+        }
+
         this.path = (config.path ?? 'client') + '/src';
         this.destDir = config.destDir || 'client/lib/transpiled';
         this.mod = config.mod;
         this.file = config.file;
 
+        /**
+         * Source dirs to process. Modules are resolved relative to the core path,
+         * the same way as in the bundler.
+         *
+         * @type {{mod: string|null, path: string}[]}
+         */
+        this.units = [{mod: this.mod ?? null, path: this.path}];
+
+        for (const mod in config.modulePaths ?? {}) {
+            this.units.push({
+                mod: mod,
+                path: (config.path ?? 'client') + '/' + config.modulePaths[mod] + '/src',
+            });
+        }
+
+        this.cache = config.cache ?? true;
+        this.targets = config.targets ?? defaultTargets;
+        this.presets = config.presets ?? [];
+        this.plugins = config.plugins ?? [];
+        this.decorators = {...defaultDecorators, ...config.decorators};
+        this.poolSize = config.poolSize ?? os.availableParallelism();
+        this.typeCheck = config.typeCheck ?? false;
+        this.failOnTypeErrors = config.failOnTypeErrors ?? false;
+        this.tsconfig = config.tsconfig;
+        this.collectErrors = config.collectErrors ?? false;
+        this.dryRun = config.dryRun ?? false;
+        this.logger = config.logger ?? new Logger();
+
         this.contentsCache = {};
+        this.manifestFile = this.destDir + '/' + manifestFileName;
     }
 
     // noinspection JSUnusedGlobalSymbols
     /**
-     * @return {{
-     *     transpiled: string[],
-     *     copied: string[],
-     * }}
+     * @return {TranspilerResult}
      */
     process() {
-        let allFiles = globSync(this.path + '/**/*.{js,ts}')
+        const plan = this.#prepare();
+
+        if (this.dryRun) {
+            return this.#obtainDryRunResult(plan);
+        }
+
+        plan.files.forEach(file => {
+            let result;
+
+            try {
+                result = this.#transform(file);
+            }
+            catch (e) {
+                this.#handleError(file, e, plan);
+
+                return;
+            }
+
+            this.#writeResult(file, result, plan);
+        });
+
+        return this.#finish(plan);
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * Transpiles files in a pool of worker threads. The result and the output are the same
+     * as of the sequential `process`.
+     *
+     * @return {Promise<TranspilerResult>}
+     */
+    async processParallel() {
+        const plan = this.#prepare();
+
+        if (this.dryRun) {
+            return this.#obtainDryRunResult(plan);
+        }
+
+        const results = await this.#transformInPool(plan.files);
+
+        plan.files.forEach((file, i) => {
+            const result = results[i];
+
+            if (result.error) {
+                this.#handleError(file, result.error, plan);
+
+                return;
+            }
+
+            this.#writeResult(file, result, plan);
+        });
+
+        return this.#finish(plan);
+    }
+
+    /**
+     * @return {TranspilerPlan}
+     */
+    #prepare() {
+        let allFiles = this.units
+            .flatMap(unit => globSync(unit.path + '/**/*.{js,ts}'))
             .map(file => file.replaceAll('\\', '/'))
             .filter(it => !it.endsWith('.d.ts'));
 
+        const manifest = this.#readManifest();
+
+        /** Removed source files which outputs are still in place. */
+        let orphanFiles;
+
         if (this.file) {
             const file = this.file.replaceAll('\\', '/');
 
-            if (!allFiles.includes(file)) {
-                return {
-                    transpiled: [],
-                    copied: [],
-                };
-            }
+            const exists = allFiles.includes(file);
 
-            allFiles = [file];
+            orphanFiles = !exists && file in manifest.files ? [file] : [];
+            allFiles = exists ? [file] : [];
+        }
+        else {
+            orphanFiles = Object.keys(manifest.files)
+                .filter(file => this.units.some(unit => file.indexOf(unit.path + '/') === 0))
+                .filter(file => !allFiles.includes(file));
         }
 
-        const files = allFiles.filter(file => this.#isToBeTranspiled(file));
-        const otherFiles = allFiles.filter(file => !files.includes(file));
+        const fingerprint = this.#obtainFingerprint();
+
+        const toTranspileFiles = allFiles.filter(file => this.#isToBeTranspiled(file));
+        const otherFiles = allFiles.filter(file => !toTranspileFiles.includes(file));
+
+        const skippedFiles = toTranspileFiles
+            .filter(file => this.cache && this.#isUpToDate(file, manifest, fingerprint));
+
+        const files = toTranspileFiles.filter(file => !skippedFiles.includes(file));
 
-        files.forEach(file => this.#processFile(file));
-        otherFiles.forEach(file => this.#copyFile(file));
+        const diagnostics = this.typeCheck ?
+            this.#checkTypes(allFiles.filter(file => file.endsWith('.ts'))) :
+            [];
 
         return {
-            transpiled: files,
-            copied: otherFiles,
+            files: files,
+            otherFiles: otherFiles,
+            skippedFiles: skippedFiles,
+            orphanFiles: orphanFiles,
+            manifest: manifest,
+            fingerprint: fingerprint,
+            previousOutputs: [],
+            diagnostics: diagnostics,
+            errors: [],
         };
     }
 
     /**
      * @param {string} file
+     * @param {Error & {loc?: {line: number, column: number}}} error
+     * @param {TranspilerPlan} plan
      */
-    #processFile(file) {
-        const module = this.#obtainModuleName(file);
+    #handleError(file, error, plan) {
+        if (!this.collectErrors) {
+            throw error;
+        }
 
-        const isTs = file.endsWith('.ts');
+        // Babel adds a filename, a position and a code frame to the message.
+        const message = error.message
+            .split('\n')[0]
+            .replace(/^unknown: /, '')
+            .replace(/ \(\d+:\d+\)$/, '');
 
-        const result = babelCore.transformSync(this.#getContents(file), {
+        if (!error.loc) {
+            plan.errors.push({
+                file: file,
+                line: null,
+                column: null,
+                message: message,
+                codeFrame: null,
+            });
+
+            return;
+        }
+
+        const line = error.loc.line;
+        const column = error.loc.column + 1;
+
+        plan.errors.push({
+            file: file,
+            line: line,
+            column: column,
+            message: message,
+            codeFrame: codeFrameColumns(this.#getContents(file), {start: {line: line, column: column}}),
+        });
+    }
+
+    /**
+     * @param {TranspilerPlan} plan
+     * @return {TranspilerResult}
+     */
+    #finish(plan) {
+        plan.otherFiles.forEach(file => {
+            const destFile = this.#copyFile(file);
+
+            this.#setManifestItem(plan, file, {outputs: [destFile]});
+        });
+
+        plan.orphanFiles.forEach(file => this.#setManifestItem(plan, file, null));
+
+        const removed = this.#obtainStaleOutputs(plan);
+
+        removed
+            .filter(file => fs.existsSync(file))
+            .forEach(file => fs.unlinkSync(file));
+
+        this.#writeManifest(plan.manifest);
+
+        const errorFiles = plan.errors.map(item => item.file);
+
+        const result = {
+            transpiled: plan.files.filter(file => !errorFiles.includes(file)),
+            copied: plan.otherFiles,
+            skipped: plan.skippedFiles,
+            removed: removed,
+            diagnostics: plan.diagnostics,
+            errors: plan.errors,
+        };
+
+        return {
+            ...result,
+            modules: this.#groupByModule(result),
+        };
+    }
+
+    /**
+     * Core files are grouped under the `core` key.
+     *
+     * @param {TranspilerModuleResult} result
+     * @return {Object.<string, TranspilerModuleResult>}
+     */
+    #groupByModule(result) {
+        const groups = {};
+
+        for (const unit of this.units) {
+            const key = unit.mod ?? 'core';
+            const isUnitFile = file => this.#obtainUnit(file) === unit;
+            const isUnitOutput = file => this.#obtainOutputUnit(file) === unit;
+
+            groups[key] = {
+                transpiled: result.transpiled.filter(isUnitFile),
+                copied: result.copied.filter(isUnitFile),
+                skipped: result.skipped.filter(isUnitFile),
+                removed: result.removed.filter(isUnitOutput),
+                errors: result.errors.filter(item => isUnitFile(item.file)),
+            };
+        }
+
+        return groups;
+    }
+
+    /**
+     * @param {TranspilerPlan} plan
+     * @param {string} file
+     * @param {ManifestItem|null} item Null to remove.
+     */
+    #setManifestItem(plan, file, item) {
+        if (file in plan.manifest.files) {
+            plan.previousOutputs.push(...plan.manifest.files[file].outputs);
+        }
+
+        if (!item) {
+            delete plan.manifest.files[file];
+
+            return;
+        }
+
+        plan.manifest.files[file] = item;
+    }
+
+    /**
+     * Previously produced outputs that are not produced anymore. An output is kept if
+     * it belongs to any other source file, e.g. when a `.js` file is renamed to `.ts`.
+     *
+     * @param {TranspilerPlan} plan
+     * @return {string[]}
+     */
+    #obtainStaleOutputs(plan) {
+        const outputs = Object.values(plan.manifest.files).flatMap(item => item.outputs);
+
+        /** @type {string[]} */
+        const staleOutputs = [];
+
+        plan.previousOutputs
+            .filter(file => !outputs.includes(file))
+            .filter(file => !staleOutputs.includes(file))
+            .forEach(file => staleOutputs.push(file));
+
+        return staleOutputs;
+    }
+
+    /**
+     * Nothing is written. The manifest is updated only in memory to find out outputs to be removed.
+     *
+     * @param {TranspilerPlan} plan
+     * @return {TranspilerResult}
+     */
+    #obtainDryRunResult(plan) {
+        const items = [];
+
+        /**
+         * @param {string} file
+         * @param {'transpile'|'copy'|'skip'} action
+         */
+        const addItem = (file, action) => {
+            const module = this.#obtainModuleName(file);
+            const destFile = this.#obtainDestFile(file, action !== 'copy');
+
+            items.push({
+                file: file,
+                module: module,
+                targetDir: this.#obtainTargetDir(module),
+                destFile: destFile,
+                action: action,
+            });
+
+            if (action === 'copy') {
+                this.#setManifestItem(plan, file, {outputs: [destFile]});
+            }
+
+            if (action === 'transpile') {
+                this.#setManifestItem(plan, file, {outputs: [destFile, destFile + '.map']});
+            }
+        };
+
+        plan.files.forEach(file => addItem(file, 'transpile'));
+        plan.skippedFiles.forEach(file => addItem(file, 'skip'));
+        plan.otherFiles.forEach(file => addItem(file, 'copy'));
+
+        plan.orphanFiles.forEach(file => this.#setManifestItem(plan, file, null));
+
+        const result = {
+            transpiled: plan.files,
+            copied: plan.otherFiles,
+            skipped: plan.skippedFiles,
+            removed: this.#obtainStaleOutputs(plan),
+            diagnostics: plan.diagnostics,
+            errors: plan.errors,
+            plan: items,
+        };
+
+        return {
+            ...result,
+            modules: this.#groupByModule(result),
+        };
+    }
+
+    /**
+     * @param {string[]} files
+     * @return {TranspilerDiagnostic[]}
+     */
+    #checkTypes(files) {
+        if (!files.length) {
+            return [];
+        }
+
+        const program = typescript.createProgram(files, this.#obtainCompilerOptions());
+
+        // Imported files are checked only as far as they are used by the checked ones.
+        const rootFiles = files.map(file => pathUtil.resolve(file));
+
+        const diagnostics = typescript.getPreEmitDiagnostics(program)
+            .filter(item => !item.file || rootFiles.includes(pathUtil.resolve(item.file.fileName)))
+            .map(item => {
+                let file = null;
+                let line = null;
+                let column = null;
+
+                if (item.file && item.start !== undefined) {
+                    const position = item.file.getLineAndCharacterOfPosition(item.start);
+
+                    file = pathUtil.relative('.', item.file.fileName).replaceAll('\\', '/');
+                    line = position.line + 1;
+                    column = position.character + 1;
+                }
+
+                return {
+                    file: file,
+                    line: line,
+                    column: column,
+                    message: typescript.flattenDiagnosticMessageText(item.messageText, '\n'),
+                    category: typescript.DiagnosticCategory[item.category].toLowerCase(),
+                };
+            });
+
+        const errors = diagnostics.filter(item => item.category === 'error');
+
+        if (errors.length && this.failOnTypeErrors) {
+            const part = errors
+                .map(item => {
+                    const position = item.file ? `${item.file}(${item.line},${item.column}): ` : '';
+
+                    return ' ' + position + item.message;
+                })
+                .join('\n');
+
+            throw new Error(`Type check failed with ${errors.length} error(s):\n${part}`);
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * @return {Object}
+     */
+    #obtainCompilerOptions() {
+        if (this.tsconfig) {
+            const {config, error} = typescript.readConfigFile(this.tsconfig, typescript.sys.readFile);
+
+            if (error) {
+                throw new Error(`Could not read ${this.tsconfig}: ` +
+                    typescript.flattenDiagnosticMessageText(error.messageText, '\n'));
+            }
+
+            const parsed = typescript.parseJsonConfigFileContent(
+                config,
+                typescript.sys,
+                pathUtil.dirname(this.tsconfig)
+            );
+
+            return {
+                ...parsed.options,
+                noEmit: true,
+            };
+        }
+
+        const paths = {'*': [pathUtil.resolve(this.path) + '/*']};
+
+        for (const unit of this.units) {
+            if (unit.mod) {
+                paths[unit.mod + ':*'] = [pathUtil.resolve(unit.path) + '/*'];
+            }
+        }
+
+        return {
+            noEmit: true,
+            target: typescript.ScriptTarget.ESNext,
+            module: typescript.ModuleKind.ESNext,
+            moduleResolution: typescript.ModuleResolutionKind.Bundler,
+            allowJs: true,
+            skipLibCheck: true,
+            types: [],
+            paths: paths,
+        };
+    }
+
+    /**
+     * @return {{
+     *     presets: *[],
+     *     plugins: *[],
+     * }}
+     */
+    #obtainBabelConfig() {
+        return {
             presets: [
                 [
                     '@babel/preset-env',
                     {
-                        targets: {
-                            chrome: '90',
-                            safari: '16',
-                        }
+                        targets: this.targets,
                     }
                 ],
+                ...this.presets,
             ],
             plugins: [
-                ...(isTs ? ['@babel/plugin-transform-typescript'] : []),
                 '@babel/plugin-transform-modules-amd',
                 [
                     '@babel/plugin-proposal-decorators',
-                    {version: '2023-11'}
+                    this.decorators,
                 ],
+                ...this.plugins,
             ],
-            moduleId: module,
+        };
+    }
+
+    /**
+     * @param {string} file
+     * @return {Object}
+     */
+    #obtainTransformOptions(file) {
+        const isTs = file.endsWith('.ts');
+
+        const config = this.#obtainBabelConfig();
+
+        return {
+            presets: config.presets,
+            plugins: [
+                ...(isTs ? ['@babel/plugin-transform-typescript'] : []),
+                ...config.plugins,
+            ],
+            moduleId: this.#obtainModuleName(file),
             sourceMaps: true,
+        };
+    }
+
+    /**
+     * @param {string} file
+     * @return {{code: string, map: string}}
+     */
+    #transform(file) {
+        const result = babelCore.transformSync(this.#getContents(file), this.#obtainTransformOptions(file));
+
+        return {
+            code: result.code,
+            map: JSON.stringify(result.map),
+        };
+    }
+
+    /**
+     * Results are in the same order as files.
+     *
+     * @param {string[]} files
+     * @return {Promise<{code?: string, map?: string, error?: Error}[]>}
+     */
+    #transformInPool(files) {
+        const tasks = files.map(file => {
+            const options = this.#obtainTransformOptions(file);
+
+            try {
+                structuredClone(options);
+            }
+            catch (e) {
+                throw new Error(`Presets and plugins must be passed by name when transpiling in parallel.`);
+            }
+
+            return {
+                contents: this.#getContents(file),
+                options: options,
+            };
         });
 
-        const dir = this.#obtainTargetDir(module);
+        const results = [];
+        const size = Math.min(this.poolSize, tasks.length);
+        let index = 0;
 
-        fs.mkdirSync(dir, {recursive: true});
+        /** @type {Worker[]} */
+        const workers = [];
+        let isFailed = false;
 
-        let part = module;
+        const runWorker = () => new Promise((resolve, reject) => {
+            const worker = new Worker(workerPath);
 
-        if (part.includes(':')) {
-            part = part.split(':')[1];
+            /** @type {number|null} A task being processed. */
+            let id = null;
+
+            workers.push(worker);
+
+            const fail = error => {
+                if (!isFailed) {
+                    isFailed = true;
+
+                    // Results of other workers are not needed anymore.
+                    workers
+                        .filter(item => item !== worker)
+                        .forEach(item => item.terminate());
+                }
+
+                reject(error);
+            };
+
+            const next = () => {
+                if (isFailed || index >= tasks.length) {
+                    id = null;
+
+                    worker.terminate().then(() => resolve());
+
+                    return;
+                }
+
+                id = index++;
+
+                worker.postMessage({id: id, ...tasks[id]});
+            };
+
+            worker.on('message', message => {
+                results[message.id] = message.error ?
+                    {error: Object.assign(new Error(message.error.message), message.error)} :
+                    {code: message.code, map: message.map};
+
+                next();
+            });
+
+            worker.on('error', error => fail(error));
+
+            // E.g. a plugin called `process.exit`.
+            worker.on('exit', code => {
+                if (id === null) {
+                    return;
+                }
+
+                fail(new Error(`Transpile worker exited with code ${code} while processing ${files[id]}.`));
+            });
+
+            next();
+        });
+
+        const promises = [];
+
+        for (let i = 0; i < size; i++) {
+            promises.push(runWorker());
         }
 
-        const filePart = part.split('/').slice(-1)[0] + '.js';
-        const destFile = dir + filePart;
+        return Promise.all(promises).then(() => results);
+    }
+
+    /**
+     * @param {string} file
+     * @param {{code: string, map: string}} result
+     * @param {TranspilerPlan} plan
+     */
+    #writeResult(file, result, plan) {
+        const destFile = this.#obtainDestFile(file, true);
+        const filePart = destFile.split('/').slice(-1)[0];
+
+        fs.mkdirSync(this.#obtainTargetDir(this.#obtainModuleName(file)), {recursive: true});
 
         const resultContent = result.code + `\n//# sourceMappingURL=${filePart}.map ;`;
 
         fs.writeFileSync(destFile, resultContent, 'utf-8');
-        fs.writeFileSync(destFile + '.map', result.map.toString(), 'utf-8');
+        fs.writeFileSync(destFile + '.map', result.map, 'utf-8');
+
+        this.#setManifestItem(plan, file, {
+            hash: this.#obtainHash(this.#getContents(file)),
+            fingerprint: plan.fingerprint,
+            outputs: [destFile, destFile + '.map'],
+            outputHashes: [this.#obtainHash(resultContent), this.#obtainHash(result.map)],
+        });
+
+        this.logger.emit('file:transpiled', {
+            file: file,
+            destFile: destFile,
+            module: this.#obtainModuleName(file),
+        });
+    }
+
+    /**
+     * A file is up-to-date if it's not changed since the last run, the Babel config is the same
+     * and both the output and the map files are still in place and not overwritten, e.g. by another tool.
+     *
+     * @param {string} file
+     * @param {{files: Object.<string, ManifestItem>}} manifest
+     * @param {string} fingerprint
+     * @return {boolean}
+     */
+    #isUpToDate(file, manifest, fingerprint) {
+        const item = manifest.files[file];
+
+        if (!item || !item.hash) {
+            return false;
+        }
+
+        if (item.fingerprint !== fingerprint) {
+            return false;
+        }
+
+        if (item.hash !== this.#obtainHash(this.#getContents(file))) {
+            return false;
+        }
+
+        if (!item.outputHashes) {
+            return false;
+        }
+
+        return item.outputs.every((output, i) => {
+            return fs.existsSync(output) &&
+                this.#obtainHash(fs.readFileSync(output, 'utf-8')) === item.outputHashes[i];
+        });
+    }
+
+    /**
+     * @return {string}
+     */
+    #obtainFingerprint() {
+        const data = {
+            version: babelCore.version,
+            config: this.#obtainBabelConfig(),
+        };
+
+        // Plugins can be passed as functions.
+        const json = JSON.stringify(data, (key, value) => {
+            return typeof value === 'function' ? value.toString() : value;
+        });
+
+        return this.#obtainHash(json);
+    }
+
+    /**
+     * @param {string} contents
+     * @return {string}
+     */
+    #obtainHash(contents) {
+        return crypto.createHash('sha256').update(contents).digest('hex');
+    }
+
+    /**
+     * @return {{files: Object.<string, ManifestItem>}}
+     */
+    #readManifest() {
+        if (!fs.existsSync(this.manifestFile)) {
+            return {files: {}};
+        }
+
+        try {
+            const manifest = JSON.parse(fs.readFileSync(this.manifestFile, 'utf-8'));
+
+            if (manifest.version === manifestVersion && manifest.files) {
+                return manifest;
+            }
+        }
+        catch (e) {}
+
+        return {files: {}};
+    }
+
+    /**
+     * @param {{files: Object.<string, ManifestItem>}} manifest
+     */
+    #writeManifest(manifest) {
+        fs.mkdirSync(this.destDir, {recursive: true});
+
+        const data = {
+            version: manifestVersion,
+            files: manifest.files,
+        };
+
+        fs.writeFileSync(this.manifestFile, JSON.stringify(data, null, '  '), 'utf-8');
     }
 
     /**
      * @param {string} file
+     * @return {string} A destination file.
      */
     #copyFile(file) {
         const module = this.#obtainModuleName(file);
         const dir = this.#obtainTargetDir(module);
 
-        fs.mkdirSync(dir, {recursive: true});
-
-        const destFile = dir + file.split('/').slice(-1)[0];
+        const destFile = this.#obtainDestFile(file, false);
 
         fs.mkdirSync(dir, {recursive: true});
         fs.copyFileSync(file, destFile);
+
+        return destFile;
+    }
+
+    /**
+     * @param {string} file
+     * @param {boolean} isTranspiled
+     * @return {string}
+     */
+    #obtainDestFile(file, isTranspiled) {
+        const module = this.#obtainModuleName(file);
+        const dir = this.#obtainTargetDir(module);
+
+        if (!isTranspiled) {
+            return dir + file.split('/').slice(-1)[0];
+        }
+
+        let part = module;
+
+        if (part.includes(':')) {
+            part = part.split(':')[1];
+        }
+
+        return dir + part.split('/').slice(-1)[0] + '.js';
     }
 
     /**
@@ -198,7 +969,50 @@ class Transpiler {
     #isToBeTranspiled(file) {
         const contents = this.#getContents(file);
 
-        return !contents.includes("\ndefine(") && contents.includes("\nexport ");
+        const sourceFile = typescript.createSourceFile(file, contents, typescript.ScriptTarget.Latest);
+
+        const moduleSyntax = new ModuleSyntax();
+
+        let isAmd = false;
+        let isEsm = false;
+
+        for (const statement of sourceFile.statements) {
+            if (this.#isDefineStatement(statement)) {
+                isAmd = true;
+
+                continue;
+            }
+
+            if (moduleSyntax.isModuleStatement(statement)) {
+                isEsm = true;
+            }
+        }
+
+        if (isAmd && isEsm) {
+            this.logger.warn(`\nWarning: File ${file} mixes AMD 'define' and ES module syntax. Copied as AMD.`);
+
+            this.logger.emit('warning:mixed-syntax', {file: file});
+
+            return false;
+        }
+
+        return isEsm;
+    }
+
+    /**
+     * @param {import('typescript').Statement} statement
+     * @return {boolean}
+     */
+    #isDefineStatement(statement) {
+        if (!typescript.isExpressionStatement(statement)) {
+            return false;
+        }
+
+        const expression = statement.expression;
+
+        return typescript.isCallExpression(expression) &&
+            typescript.isIdentifier(expression.expression) &&
+            expression.expression.text === 'define';
     }
 
     /**
@@ -218,11 +1032,31 @@ class Transpiler {
      * @return string
      */
     #obtainModuleName(file) {
-        if (this.mod) {
-            return `modules/${this.mod}/` + file.slice(this.path.length + 1, -3);
+        const unit = this.#obtainUnit(file);
+
+        if (unit.mod) {
+            return `modules/${unit.mod}/` + file.slice(unit.path.length + 1, -3);
         }
 
-        return file.slice(this.path.length + 1, -3);
+        return file.slice(unit.path.length + 1, -3);
+    }
+
+    /**
+     * @param {string} file
+     * @return {{mod: string|null, path: string}}
+     */
+    #obtainUnit(file) {
+        return this.units.find(unit => file.indexOf(unit.path + '/') === 0) ?? this.units[0];
+    }
+
+    /**
+     * @param {string} file An output file.
+     * @return {{mod: string|null, path: string}}
+     */
+    #obtainOutputUnit(file) {
+        return this.units.find(unit => {
+            return unit.mod && file.indexOf(`${this.destDir}/modules/${unit.mod}/`) === 0;
+        }) ?? this.units[0];
     }
 }
 
@@ -0,0 +1,319 @@
+/************************************************************************
+ * This file is part of EspoCRM.
+ *
+ * EspoCRM - Open Source CRM application.
+ * Copyright (C) 2014-2023 Yurii Kuznietsov, Taras Machyshyn, Oleksii Avramenko
+ * Website: https://www.espocrm.com
+ *
+ * EspoCRM is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * EspoCRM is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with EspoCRM. If not, see http://www.gnu.org/licenses/.
+ *
+ * The interactive user interfaces in modified source and object code versions
+ * of this program must display Appropriate Legal Notices, as required under
+ * Section 5 of the GNU General Public License version 3.
+ *
+ * In accordance with Section 7(b) of the GNU General Public License version 3,
+ * these Appropriate Legal Notices must retain the display of the "EspoCRM" word.
+ ************************************************************************/
+
+const fs = require('fs');
+const Transpiler = require('../transpiler/transpiler');
+const BundlerGeneral = require('../bundler/bundler-general');
+const TemplateBundler = require('../template-bundler/template-bundler');
+const Logger = require('../logger/logger');
+
+/**
+ * Watches source and template dirs. On a change, re-transpiles the changed file, rebuilds
+ * the chunks containing the changed module and re-bundles templates.
+ */
+class Watcher {
+
+    /**
+     * @param {{
+     *     basePath?: string,
+     *     modulePaths?: Record.<string, string>,
+     *     transpiler?: {
+     *         destDir?: string,
+     *         cache?: boolean,
+     *     },
+     *     bundler?: {
+     *         config: Object,
+     *         libs?: Object[],
+     *         filePattern?: string,
+     *     },
+     *     templates?: {
+     *         dirs?: string[],
+     *         dest?: string,
+     *         clientDir?: string,
+     *     },
+     *     delay?: number,
+     *     logger?: Logger,
+     * }} config
+     */
+    constructor(config) {
+        this.basePath = config.basePath ?? 'client';
+        this.modulePaths = config.modulePaths ?? config.bundler?.config.modulePaths ?? {};
+        this.transpilerConfig = config.transpiler ?? {};
+        this.bundlerConfig = config.bundler ?? null;
+        this.templatesConfig = config.templates ?? {};
+        this.delay = config.delay ?? 100;
+        this.logger = config.logger ?? new Logger();
+
+        /** @type {BundlerGeneral|null} */
+        this.bundler = null;
+        /** @type {fs.FSWatcher[]} */
+        this.watchers = [];
+        /** @type {Set<string>} */
+        this.changedFiles = new Set();
+        this.timeout = null;
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * Start watching. Builds all chunks first, so that specific chunks could be rebuilt on changes.
+     */
+    start() {
+        if (this.bundlerConfig) {
+            this.bundler = new BundlerGeneral(
+                this.bundlerConfig.config,
+                this.bundlerConfig.libs,
+                this.bundlerConfig.filePattern,
+                this.logger
+            );
+
+            this.#writeChunks(this.bundler.bundle());
+        }
+
+        const dirs = this.#obtainSrcDirs().concat(this.#obtainTemplateDirs());
+
+        dirs
+            .filter(dir => fs.existsSync(dir))
+            .forEach(dir => {
+                const watcher = fs.watch(dir, {recursive: true}, (event, filename) => {
+                    if (!filename) {
+                        return;
+                    }
+
+                    this.#onChange(dir + '/' + filename.replaceAll('\\', '/'));
+                });
+
+                this.watchers.push(watcher);
+            });
+
+        this.logger.log(`  Watching ${this.watchers.length} dirs.`);
+    }
+
+    // noinspection JSUnusedGlobalSymbols
+    /**
+     * Stop watching.
+     */
+    stop() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+
+            this.timeout = null;
+        }
+
+        this.changedFiles.clear();
+    }
+
+    /**
+     * @param {string} file
+     */
+    #onChange(file) {
+        this.changedFiles.add(file);
+
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+        }
+
+        // File systems fire multiple events for a single save.
+        this.timeout = setTimeout(() => {
+            this.timeout = null;
+
+            const files = [...this.changedFiles];
+
+            this.changedFiles.clear();
+
+            // An error must not stop watching.
+            try {
+                this.#process(files);
+            }
+            catch (e) {
+                this.logger.warn(`\nError: Rebuild failed. ${e.message}`);
+            }
+        }, this.delay);
+    }
+
+    /**
+     * @param {string[]} files
+     */
+    #process(files) {
+        const chunks = [];
+        let hasTemplates = false;
+
+        const addChunks = names => names
+            .filter(name => !chunks.includes(name))
+            .forEach(name => chunks.push(name));
+
+        for (const file of files) {
+            if (file.endsWith('.tpl')) {
+                hasTemplates = true;
+
+                if (this.bundler) {
+                    addChunks(this.bundler.getTemplateChunks(file));
+                }
+
+                continue;
+            }
+
+            if (!this.#isSourceFile(file)) {
+                continue;
+            }
+
+            const module = this.#transpileFile(file);
+
+            if (!module || !this.bundler) {
+                continue;
+            }
+
+            addChunks(this.bundler.getModuleChunks(module));
+        }
+
+        if (chunks.length) {
+            this.#writeChunks(this.bundler.bundle(chunks));
+        }
+
+        if (hasTemplates) {
+            (new TemplateBundler({...this.templatesConfig, logger: this.logger})).process();
+        }
+    }
+
+    /**
+     * @param {string} file
+     * @return {string|null} A module name.
+     */
+    #transpileFile(file) {
+        const module = this.#obtainModuleName(file);
+
+        if (!module) {
+            return null;
+        }
+
+        const result = (new Transpiler({
+            ...this.transpilerConfig,
+            path: this.basePath,
+            modulePaths: this.modulePaths,
+            file: file,
+            collectErrors: true,
+            logger: this.logger,
+        })).process();
+
+        result.errors.forEach(item => {
+            const position = item.line !== null ? `:${item.line}:${item.column}` : '';
+            const codeFrame = item.codeFrame ? '\n' + item.codeFrame : '';
+
+            this.logger.warn(`\nError: ${item.file}${position} ${item.message}${codeFrame}`);
+        });
+
+        if (result.errors.length) {
+            return null;
+        }
+
+        if (result.transpiled.length) {
+            this.logger.log(`  Transpiled ${file}.`);
+        }
+
+        return module;
+    }
+
+    /**
+     * @param {string} file
+     * @return {string|null}
+     */
+    #obtainModuleName(file) {
+        for (const mod in this.modulePaths) {
+            const path = this.basePath + '/' + this.modulePaths[mod] + '/src/';
+
+            if (file.indexOf(path) === 0) {
+                return `modules/${mod}/` + file.slice(path.length, -3);
+            }
+        }
+
+        const path = this.basePath + '/src/';
+
+        if (file.indexOf(path) !== 0) {
+            return null;
+        }
+
+        return file.slice(path.length, -3);
+    }
+
+    /**
+     * @param {Object.<string, string>} result
+     */
+    #writeChunks(result) {
+        for (const name in result) {
+            const file = this.bundler.bundleFiles[name];
+
+            if (fs.existsSync(file) && fs.readFileSync(file, 'utf-8') === result[name]) {
+                continue;
+            }
+
+            fs.writeFileSync(file, result[name], 'utf-8');
+        }
+    }
+
+    /**
+     * @param {string} file
+     * @return {boolean}
+     */
+    #isSourceFile(file) {
+        return (file.endsWith('.js') || file.endsWith('.ts')) && !file.endsWith('.d.ts');
+    }
+
+    /**
+     * @return {string[]}
+     */
+    #obtainSrcDirs() {
+        const dirs = [this.basePath + '/src'];
+
+        for (const mod in this.modulePaths) {
+            dirs.push(this.basePath + '/' + this.modulePaths[mod] + '/src');
+        }
+
+        return dirs;
+    }
+
+    /**
+     * @return {string[]}
+     */
+    #obtainTemplateDirs() {
+        if (this.templatesConfig.dirs) {
+            return this.templatesConfig.dirs;
+        }
+
+        const dirs = [this.basePath + '/res/templates'];
+
+        for (const mod in this.modulePaths) {
+            dirs.push(this.basePath + '/' + this.modulePaths[mod] + '/res/templates');
+        }
+
+        return dirs;
+    }
+}
+
+module.exports = Watcher;